@@ -2,8 +2,10 @@ require("dotenv").config();
 const { Telegraf, Markup, session } = require("telegraf");
 const mongoose = require("mongoose");
 const schedule = require("node-schedule");
+const QRCode = require("qrcode");
 const axios = require('axios');
 const fs = require('fs');
+const crypto = require('crypto');
 // Helper function to escape HTML
 const escapeHtml = (text) => {
   return text.replace(/[<>&]/g, function(c) {
@@ -15,21 +17,12 @@ const escapeHtml = (text) => {
   });
 };
 
+// Helper function to escape MarkdownV2
+const escapeMarkdownV2 = (text) => String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
 
-// Initialize bot with session middleware
+// Initialize bot
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
-// Session configuration with default values
-bot.use(session({
-  defaultSession: () => ({
-    currentMenu: null,
-    waitingForBroadcast: null,
-    waitingForUpload: false,
-    broadcastData: null,
-    waitingForPaymentProof: null,
-    sentBroadcastMessages: []
-  })
-}));
 mongoose.connection.on('connecting', () => console.log('Connecting to MongoDB...'));
 mongoose.connection.on('connected', () => console.log('Connected to MongoDB'));
 mongoose.connection.on('error', (err) => console.error('MongoDB connection error:', err));
@@ -37,14 +30,64 @@ mongoose.connection.on('disconnected', () => console.log('Disconnected from Mong
 // Suppress punycode warning
 process.removeAllListeners('warning');
 
+// Integer setting where 0 is a valid value, unlike `parseInt(...) || fallback`
+const envInt = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
 // Configuration
-const admins = process.env.ADMINS.split(',').map(id => id.trim());
+const admins = process.env.ADMINS.split(',').map(id => id.trim()); // permanent owners
+// Roles granted from the admin panel; owners implicitly hold every role
+const ADMIN_ROLES = {
+  owner: '👑 Owner',
+  payments: '🧾 Payment Reviewer',
+  uploader: '🎥 Uploader',
+  broadcaster: '📢 Broadcaster'
+};
 const VIDEO_BATCH_SIZE = parseInt(process.env.VIDEO_BATCH_SIZE) || 10;
 const MESSAGE_DELETE_MINUTES = parseInt(process.env.MESSAGE_DELETE_MINUTES) || 30;
-const PURCHASE_GROUP_LINK = process.env.PURCHASE_GROUP_LINK || "https://t.me/yourpurchasegroup";
-const PURCHASE_GROUP_PRICE = process.env.PURCHASE_GROUP_PRICE || "₹99";
+const BROADCAST_DELETE_HOURS = parseInt(process.env.BROADCAST_DELETE_HOURS) || 0; // 0 keeps broadcasts
+const DELETION_BATCH_SIZE = 50;
+const DELETION_MAX_ATTEMPTS = 5;
+const PURCHASE_GROUP_LINK = process.env.PURCHASE_GROUP_LINK || "https://t.me/yourpurchasegroup"; // used when PURCHASE_GROUP_ID is unset
+// Purchase group chat ID; the bot needs admin rights to invite and remove members there
+const PURCHASE_GROUP_ID = process.env.PURCHASE_GROUP_ID;
+const INVITE_LINK_HOURS = parseInt(process.env.INVITE_LINK_HOURS) || 24;
+const PURCHASE_GROUP_PRICE = process.env.PURCHASE_GROUP_PRICE || "₹99"; // seeds the catalog on first run
+const UPI_ID = process.env.UPI_ID;
+const UPI_PAYEE_NAME = process.env.UPI_PAYEE_NAME || "Payments";
 const GROUP_LINK = process.env.GROUP_LINK || "https://t.me/yourgroup";
 let CHANNEL_IDS = process.env.CHANNEL_IDS ? process.env.CHANNEL_IDS.split(',') : [];
+// Premium plans as "days:price" pairs, e.g. "7:₹49,30:₹149,90:₹399". They seed the product
+// catalog on first run and set the durations admins can grant from the user card.
+const PREMIUM_PLANS = (process.env.PREMIUM_PLANS || "7:₹49,30:₹149,90:₹399")
+  .split(',')
+  .map(plan => {
+    const [days, price] = plan.split(':').map(part => part.trim());
+    return { days: parseInt(days), price };
+  })
+  .filter(plan => plan.days > 0);
+const PREMIUM_REMINDER_DAYS = parseInt(process.env.PREMIUM_REMINDER_DAYS) || 3;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 72;
+const BROADCAST_RATE_PER_SECOND = parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 20;
+const BROADCAST_MAX_RETRIES = parseInt(process.env.BROADCAST_MAX_RETRIES) || 5;
+const BROADCAST_PROGRESS_SECONDS = parseInt(process.env.BROADCAST_PROGRESS_SECONDS) || 5;
+const BROADCAST_BATCH_SIZE = 100;
+const REFERRAL_BONUS_VIDEOS = envInt(process.env.REFERRAL_BONUS_VIDEOS, 10);
+const REFERRAL_BONUS_PREMIUM_DAYS = envInt(process.env.REFERRAL_BONUS_PREMIUM_DAYS, 0);
+const VIDEO_CATEGORIES = (process.env.VIDEO_CATEGORIES || "")
+  .split(',')
+  .map(category => category.trim())
+  .filter(Boolean);
+const REFERRAL_TIER_MIN_REFERRALS = parseInt(process.env.REFERRAL_TIER_MIN_REFERRALS) || 5;
+const VIEW_HISTORY_DAYS = parseInt(process.env.VIEW_HISTORY_DAYS) || 30;
+const MAX_CATEGORY_LENGTH = 25; // keeps category buttons readable
+const MAX_PRODUCT_NAME_LENGTH = 40; // fits a menu button next to the price
+const USER_SEARCH_LIMIT = 10; // /user name matches listed at once
+const AUDIT_PAGE_SIZE = 20; // /audit entries shown in chat; the CSV export has all of them
+// IANA timezone admins enter schedule times in, e.g. "Asia/Kolkata"
+const TIMEZONE = process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI)
@@ -54,25 +97,69 @@ mongoose.connect(process.env.MONGO_URI)
 // MongoDB Models
 const userSchema = new mongoose.Schema({
   userId: Number,
-  dailyCount: { type: Number, default: 0 },
+  // Telegram profile, refreshed on every private interaction
+  first_name: String,
+  username: { type: String, index: true },
+  language_code: String,
+  joinedAt: Date, // unset for users created before profiles were tracked
+  lastActiveAt: Date,
   lastReset: { type: Date, default: new Date() },
+  // Delivered video batches within the last 24 hours, used by the quota policy
+  quotaUsage: [{
+    _id: false,
+    at: Date,
+    count: Number
+  }],
   isPremium: { type: Boolean, default: false },
+  premiumUntil: Date, // unset for legacy lifetime premium
+  premiumReminderSent: { type: Boolean, default: false },
   hasPurchaseGroupAccess: { type: Boolean, default: false },
-  viewedVideos: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Video' }],
-  sentMessages: [{
-    messageId: Number,
-    chatId: Number,
-    deleteAt: Date
-  }]
+  isBanned: { type: Boolean, default: false },
+  referralCode: { type: String, unique: true, sparse: true },
+  referredBy: Number, // userId of the referrer
+  referralCount: { type: Number, default: 0 },
+  bonusVideos: { type: Number, default: 0 }, // one-off credits beyond the tier limit
+  // Reachability learned from my_chat_member updates and 403 send errors
+  status: { type: String, enum: ['active', 'blocked', 'deactivated'], default: 'active', index: true },
+  statusChangedAt: Date
 });
 
 const videoSchema = new mongoose.Schema({
   fileId: String,
+  fileUniqueId: { type: String, unique: true, sparse: true }, // stable across bots and re-forwards
   fileType: String,
+  caption: String,
+  category: { type: String, index: true },
+  tags: { type: [String], index: true },
+  isDisabled: { type: Boolean, default: false }, // hidden from users but kept in the library
   addedAt: { type: Date, default: Date.now }
 });
 
+// One row per video a user has been sent; expiring rows keeps history bounded
+const viewHistorySchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  videoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', required: true },
+  viewedAt: { type: Date, default: Date.now, expires: VIEW_HISTORY_DAYS * 86400 }
+});
+viewHistorySchema.index({ userId: 1, videoId: 1 }, { unique: true });
+
+// Messages queued for timed deletion; finished rows are kept a week for the admin counts
+const scheduledDeletionSchema = new mongoose.Schema({
+  chatId: { type: Number, required: true },
+  messageId: { type: Number, required: true },
+  userId: Number,
+  kind: { type: String, enum: ['video', 'demo', 'broadcast'], default: 'video' },
+  sentAt: { type: Date, default: Date.now },
+  deleteAt: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'failed', 'expired'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  finishedAt: { type: Date, expires: 7 * 86400 }
+});
+scheduledDeletionSchema.index({ status: 1, deleteAt: 1 });
+
 const broadcastSchema = new mongoose.Schema({
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'BroadcastJob', index: true },
   messageId: Number,
   chatId: Number,
   content: Object,
@@ -80,1212 +167,4305 @@ const broadcastSchema = new mongoose.Schema({
   sentAt: { type: Date, default: Date.now }
 });
 
+// A broadcast delivered in the background; `stage` and `cursor` mark where to resume
+const broadcastJobSchema = new mongoose.Schema({
+  target: { type: String, enum: ['users', 'groups', 'channels', 'all'], required: true },
+  content: Object,
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'paused', 'cancelled', 'completed'],
+    default: 'queued'
+  },
+  stage: { type: Number, default: 0 },
+  cursor: { type: mongoose.Schema.Types.ObjectId, default: null },
+  total: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  createdBy: Number,
+  scheduledId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledBroadcast', index: true }, // set when started by a schedule
+  progressChatId: Number,
+  progressMessageId: Number,
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  finishedAt: Date
+});
+
+const scheduledBroadcastSchema = new mongoose.Schema({
+  target: { type: String, enum: ['users', 'groups', 'channels', 'all'], required: true },
+  content: Object,
+  runAt: { type: Date, required: true, index: true }, // next run
+  recurrence: { type: String, enum: ['none', 'daily', 'weekly'], default: 'none' },
+  status: { type: String, enum: ['scheduled', 'starting', 'done', 'cancelled'], default: 'scheduled' },
+  createdBy: Number,
+  createdAt: { type: Date, default: Date.now },
+  lastRunAt: Date
+});
+
+const groupSchema = new mongoose.Schema({
+  chatId: { type: String, required: true, unique: true },
+  title: String,
+  type: String, // 'group' or 'supergroup'
+  username: String,
+  addedAt: { type: Date, default: Date.now },
+  addedBy: Number // Telegram user ID of whoever added the bot
+});
+
+const paymentSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  userId: { type: Number, required: true, index: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  // Snapshot of the product at order time, so later catalog edits don't change what was bought
+  productName: String,
+  grants: {
+    premiumDays: { type: Number, default: 0 },
+    grantsGroup: { type: Boolean, default: false },
+    bonusVideos: { type: Number, default: 0 }
+  },
+  amount: Number, // INR
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  proofFileId: { type: String, default: null },
+  proofFileUniqueId: { type: String, index: true }, // same screenshot => same ID, even from other accounts
+  utr: { type: String, index: true }, // UPI transaction reference typed by the user
+  proofSubmittedAt: Date,
+  reviewMessageId: Number, // review card in the admin group
+  reviewedBy: Number,
+  reviewedByName: String,
+  reviewedAt: Date,
+  rejectionReason: String, // shown to the user with the rejection
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Single-use purchase group invites, kept to show who joined through which link
+const groupInviteSchema = new mongoose.Schema({
+  userId: { type: Number, required: true, index: true }, // buyer the link was issued to
+  inviteLink: { type: String, required: true, unique: true },
+  status: { type: String, enum: ['active', 'used', 'revoked'], default: 'active' },
+  expiresAt: Date,
+  joinedUserId: Number, // may differ from userId if the link was passed on
+  joinedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Purchasable offers listed in the main menu, managed from the admin panel
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  price: { type: Number, required: true }, // INR
+  image: String, // Telegram file_id, or a local path starting with "./"
+  premiumDays: { type: Number, default: 0 },
+  grantsGroup: { type: Boolean, default: false },
+  bonusVideos: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
 const channelSchema = new mongoose.Schema({
   channelId: { type: String, required: true, unique: true },
   title: { type: String, required: true },
   username: String,
   inviteLink: String,
+  isMandatory: { type: Boolean, default: false }, // users must join before getting videos
   addedAt: { type: Date, default: Date.now },
   addedBy: { type: Number, required: true } // Telegram user ID of admin who added it
 });
 
+const adminRoleSchema = new mongoose.Schema({
+  userId: { type: Number, required: true, unique: true },
+  roles: [{ type: String, enum: Object.keys(ADMIN_ROLES) }],
+  addedBy: Number,
+  addedAt: { type: Date, default: Date.now }
+});
+
+// One row per admin action, viewed and exported with /audit
+const auditLogSchema = new mongoose.Schema({
+  adminId: { type: Number, required: true, index: true },
+  adminName: String,
+  action: { type: String, required: true, index: true }, // e.g. payment.approve, media.delete
+  targetType: String, // user, payment, product, media, channel or broadcast
+  targetId: String,
+  details: Object,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+// Telegraf sessions, removed by MongoDB once untouched for SESSION_TTL_HOURS
+const sessionSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  data: Object,
+  updatedAt: { type: Date, default: Date.now, expires: SESSION_TTL_HOURS * 3600 }
+});
+
 const User = mongoose.model("User", userSchema);
 const Video = mongoose.model("Video", videoSchema);
+const ViewHistory = mongoose.model("ViewHistory", viewHistorySchema);
+const ScheduledDeletion = mongoose.model("ScheduledDeletion", scheduledDeletionSchema);
 const Broadcast = mongoose.model("Broadcast", broadcastSchema);
 const Channel = mongoose.model("Channel", channelSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const AdminRole = mongoose.model("AdminRole", adminRoleSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+const Payment = mongoose.model("Payment", paymentSchema);
+const Product = mongoose.model("Product", productSchema);
+const GroupInvite = mongoose.model("GroupInvite", groupInviteSchema);
+const Group = mongoose.model("Group", groupSchema);
+const BroadcastJob = mongoose.model("BroadcastJob", broadcastJobSchema);
+const ScheduledBroadcast = mongoose.model("ScheduledBroadcast", scheduledBroadcastSchema);
+
+// Session store backed by the shared mongoose connection
+const mongoSessionStore = {
+  async get(key) {
+    const doc = await Session.findOne({ key }).lean();
+    return doc?.data;
+  },
+  async set(key, data) {
+    await Session.updateOne(
+      { key },
+      { $set: { data, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  },
+  async delete(key) {
+    await Session.deleteOne({ key });
+  }
+};
+
+// Session configuration with default values
+bot.use(session({
+  store: mongoSessionStore,
+  defaultSession: () => ({
+    currentMenu: null,
+    waitingForBroadcast: null,
+    waitingForUpload: false,
+    broadcastData: null,
+    waitingForPaymentProof: null, // product ID
+    pendingOrderId: null,
+    pendingProof: null,
+    waitingForCampaignEdit: null,
+    waitingForScheduleTime: false,
+    scheduleDraft: null,
+    waitingForVideoCategory: null,
+    waitingForVideoEdit: null,
+    uploadStats: null,
+    uploadCategory: null,
+    libraryFilter: null,
+    libraryPage: 0,
+    waitingForAdminAdd: false,
+    waitingForRejectReason: null,
+    waitingForProduct: null,
+    waitingForProductImage: null,
+    sentBroadcastMessages: []
+  })
+}));
+
+// Keep stored profiles current; new users are created by /start
+bot.use(async (ctx, next) => {
+  if (ctx.from && !ctx.from.is_bot && ctx.chat?.type === 'private') {
+    try {
+      await User.updateOne({ userId: ctx.from.id }, { $set: telegramProfile(ctx.from) });
+    } catch (error) {
+      console.error("Profile update error:", error);
+    }
+  }
+  return next();
+});
 
 // Helper functions
-const isAdmin = (userId) => admins.includes(userId.toString());
+// Cached so permission checks stay synchronous; refreshed whenever roles change
+let adminRoles = new Map();
+
+const refreshAdminRoles = async () => {
+  try {
+    const records = await AdminRole.find();
+    adminRoles = new Map(records.map(record => [record.userId.toString(), record.roles]));
+  } catch (error) {
+    console.error("Error refreshing admin roles:", error);
+  }
+};
+
+const getAdminRoles = (userId) =>
+  admins.includes(userId.toString()) ? ['owner'] : adminRoles.get(userId.toString()) || [];
+
+const isAdmin = (userId) => getAdminRoles(userId).length > 0;
+
+const hasRole = (userId, role) => {
+  const roles = getAdminRoles(userId);
+  return roles.includes('owner') || roles.includes(role);
+};
+
+// A logging failure never blocks the admin action itself
+const recordAudit = async (admin, action, targetType, targetId, details = {}) => {
+  try {
+    await AuditLog.create({
+      adminId: admin.id,
+      adminName: admin.username ? `@${admin.username}` : admin.first_name,
+      action,
+      targetType,
+      targetId: targetId?.toString(),
+      details
+    });
+  } catch (error) {
+    console.error(`Audit log error for ${action}:`, error);
+  }
+};
+
+const telegramProfile = (from) => ({
+  first_name: from.first_name,
+  username: from.username,
+  language_code: from.language_code,
+  lastActiveAt: new Date()
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-GB', { timeZone: TIMEZONE, dateStyle: 'medium', timeStyle: 'short' });
+
+// Milliseconds the given timezone is ahead of UTC at `date`
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the clock in TIMEZONE reads `wallClock` (a time whose UTC fields hold
+// the local date and time). The second lookup picks the offset in force at the result.
+const fromWallClock = (wallClock) => {
+  const guess = wallClock - getTimezoneOffset(new Date(wallClock), TIMEZONE);
+  return new Date(wallClock - getTimezoneOffset(new Date(guess), TIMEZONE));
+};
+
+// Same local time `days` later in TIMEZONE, so repeats keep their hour across DST changes
+const addLocalDays = (date, days) =>
+  fromWallClock(date.getTime() + getTimezoneOffset(date, TIMEZONE) + days * 86400000);
+
+// Parse "YYYY-MM-DD HH:MM" as wall-clock time in TIMEZONE; null when malformed
+const parseDateTime = (input) => {
+  const match = input.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  if (hour > 23 || minute > 59) return null;
+
+  // Date.UTC quietly rolls impossible dates like 2024-02-31 into the next month
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  if (wallClock.getUTCFullYear() !== year || wallClock.getUTCMonth() !== month - 1 || wallClock.getUTCDate() !== day) {
+    return null;
+  }
+
+  return fromWallClock(wallClock.getTime());
+};
+
+// Debug logger for the channel management flow, enabled with DEBUG=1
+const debug = {
+  log: (...args) => process.env.DEBUG && console.log(...args),
+  error: (...args) => console.error(...args)
+};
 
 const clearMenuState = (ctx) => {
   ctx.session.currentMenu = null;
   ctx.session.waitingForBroadcast = null;
   ctx.session.waitingForUpload = false;
   ctx.session.waitingForPaymentProof = null;
+  ctx.session.pendingOrderId = null;
+  ctx.session.pendingProof = null;
+  ctx.session.waitingForCampaignEdit = null;
+  ctx.session.waitingForScheduleTime = false;
+  ctx.session.scheduleDraft = null;
+  ctx.session.waitingForVideoCategory = null;
+  ctx.session.waitingForVideoEdit = null;
+  ctx.session.uploadStats = null;
+  ctx.session.uploadCategory = null;
+  ctx.session.waitingForAdminAdd = false;
+  ctx.session.waitingForRejectReason = null;
+  ctx.session.waitingForProduct = null;
+  ctx.session.waitingForProductImage = null;
+};
+
+const isPremiumActive = (user) =>
+  !!user?.isPremium && (!user.premiumUntil || user.premiumUntil > new Date());
+
+// Quota policy: each tier has a video limit and a window, either the calendar day in
+// TIMEZONE or a rolling 24 hours. Override with QUOTA_<TIER>_LIMIT / QUOTA_<TIER>_WINDOW.
+const quotaTier = (name, label, limit, appliesTo) => {
+  const envLimit = process.env[`QUOTA_${name.toUpperCase()}_LIMIT`];
+  return {
+    name,
+    label,
+    limit: envLimit === 'unlimited' ? Infinity : envInt(envLimit, limit),
+    window: process.env[`QUOTA_${name.toUpperCase()}_WINDOW`] === 'rolling' ? 'rolling' : 'calendar',
+    appliesTo
+  };
+};
+
+// Most generous first; a user gets the first tier they qualify for
+const QUOTA_TIERS = [
+  quotaTier('premium', 'Premium', Infinity, (user) => isPremiumActive(user)),
+  quotaTier('group', 'Group Buyer', 60, (user) => user.hasPurchaseGroupAccess),
+  quotaTier('referral', 'Top Referrer', 45, (user) => (user.referralCount || 0) >= REFERRAL_TIER_MIN_REFERRALS),
+  quotaTier('free', 'Free', envInt(process.env.DAILY_VIDEO_LIMIT, 30), () => true)
+];
+
+const startOfDay = (date) => {
+  const offset = getTimezoneOffset(date, TIMEZONE);
+  const local = new Date(date.getTime() + offset);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() - offset);
+};
+
+const getQuotaStatus = (user, now = new Date()) => {
+  const tier = QUOTA_TIERS.find(candidate => candidate.appliesTo(user));
+  const windowStart = tier.window === 'rolling' ? new Date(now.getTime() - 86400000) : startOfDay(now);
+  const used = (user.quotaUsage || [])
+    .filter(entry => entry.at >= windowStart)
+    .reduce((sum, entry) => sum + entry.count, 0);
+  const remaining = Math.max(tier.limit - used, 0);
+  const bonus = user.bonusVideos || 0;
+
+  return { tier, used, remaining, bonus, available: remaining + bonus };
 };
 
-const scheduleDeletion = async (userId, messageIds, chatId) => {
-  const deleteAt = new Date(Date.now() + MESSAGE_DELETE_MINUTES * 60000);
+// Record delivered videos; anything beyond the tier's remaining allowance uses bonus credits
+const consumeQuota = async (userId, quota, delivered) => {
+  if (delivered <= 0) return;
+
+  const now = new Date();
+  const fromBonus = Math.min(quota.bonus, Math.max(0, delivered - quota.remaining));
+
   await User.updateOne(
     { userId },
-    { $push: { sentMessages: messageIds.map(id => ({
-      messageId: id,
-      chatId,
-      deleteAt
-    })) }}
+    { $pull: { quotaUsage: { at: { $lt: new Date(now.getTime() - 86400000) } } } }
+  );
+  await User.updateOne(
+    { userId },
+    {
+      $push: { quotaUsage: { at: now, count: delivered } },
+      $inc: { bonusVideos: -fromBonus }
+    }
   );
 };
 
-const cleanInactiveUsers = async () => {
-  const users = await User.find({});
-  for (const user of users) {
+const generateReferralCode = () => Math.random().toString(36).slice(2, 10).toUpperCase();
+
+// Lazily assign a referral code, retrying on the rare collision
+const ensureReferralCode = async (user) => {
+  while (!user.referralCode) {
     try {
-      // Try sending a hidden message to check if user is reachable
-      await bot.telegram.sendMessage(user.userId, " ", { disable_notification: true });
+      user = await User.findOneAndUpdate(
+        { userId: user.userId, referralCode: { $exists: false } },
+        { referralCode: generateReferralCode() },
+        { new: true }
+      ) || await User.findOne({ userId: user.userId });
     } catch (error) {
-      if (error.description.includes('blocked') || 
-          error.description.includes('deleted') ||
-          error.description.includes('chat not found')) {
-        console.log(`Removing inactive user ${user.userId}`);
-        await User.deleteOne({ userId: user.userId });
-      }
+      if (error.code !== 11000) throw error;
     }
   }
+  return user.referralCode;
 };
 
-const sendUPIDetails = async (ctx, paymentType) => {
-  clearMenuState(ctx);
-  ctx.session.waitingForPaymentProof = paymentType;
-  ctx.session.currentMenu = 'payment';
-
-  const caption = paymentType === 'group' 
-    ? `💳 *Purchase Group Access (${PURCHASE_GROUP_PRICE})*\n\n1. Scan the QR or copy UPI ID\n2. Send payment proof to get the group link`
-    : `💳 *Premium Subscription*\n\n1. Scan the QR or copy UPI ID\n2. Send payment proof to get the premium(must)`;
+const referralRewardText = () => [
+  REFERRAL_BONUS_VIDEOS > 0 && `${REFERRAL_BONUS_VIDEOS} bonus videos`,
+  REFERRAL_BONUS_PREMIUM_DAYS > 0 && `${REFERRAL_BONUS_PREMIUM_DAYS} premium days`
+].filter(Boolean).join(' + ') || 'a referral credit';
 
-  const buttons = [
-    [Markup.button.callback("📋 Copy UPI ID", "COPY_UPI")],
-    [Markup.button.callback("🔙 Back", "MAIN_MENU")]
-  ];
+// Credit the referrer of a newly registered user
+const rewardReferrer = async (referrerId) => {
+  await User.updateOne(
+    { userId: referrerId },
+    { $inc: { referralCount: 1, bonusVideos: REFERRAL_BONUS_VIDEOS } }
+  );
+  if (REFERRAL_BONUS_PREMIUM_DAYS > 0) {
+    await extendPremium(referrerId, REFERRAL_BONUS_PREMIUM_DAYS);
+  }
 
-  await ctx.replyWithPhoto({ 
-    source: paymentType === 'group' ? "./purchase_qr.png" : "./premium_qr.png" 
-  }, {
-    caption,
-    parse_mode: "Markdown",
-    ...Markup.inlineKeyboard(buttons)
-  });
+  try {
+    await bot.telegram.sendMessage(
+      referrerId,
+      `🎁 *New Referral!*\n\nSomeone joined with your link. You earned ${referralRewardText()}.`,
+      { parse_mode: "Markdown" }
+    );
+  } catch (error) {
+    console.error(`Error notifying referrer ${referrerId}:`, error);
+  }
 };
 
-const sendPurchaseGroupDetails = async (ctx) => {
-  clearMenuState(ctx);
-  ctx.session.currentMenu = 'purchase_group';
+// Extend premium by `days`, stacking on top of any remaining time
+// Returns the new expiry, or null for lifetime premium, which is left as it is
+const extendPremium = async (userId, days) => {
+  const user = await User.findOne({ userId });
+  if (user?.isPremium && !user.premiumUntil) return null;
 
-  const user = await User.findOne({ userId: ctx.from.id });
+  const now = new Date();
+  const base = isPremiumActive(user) && user.premiumUntil ? user.premiumUntil : now;
+  const premiumUntil = new Date(base.getTime() + days * 86400000);
 
-  if (user?.hasPurchaseGroupAccess) {
-    await ctx.reply(`✅ You already have access to the purchase group!`, 
-      Markup.inlineKeyboard([
-        Markup.button.url("👥 Join Purchase Group", PURCHASE_GROUP_LINK),
-        Markup.button.callback("🔙 Back", "MAIN_MENU")
-      ])
-    );
-    return;
+  await User.updateOne({ userId }, {
+    isPremium: true,
+    premiumUntil,
+    premiumReminderSent: false
+  });
+
+  return premiumUntil;
+};
+
+const revokeGroupInvites = async (userId) => {
+  const invites = await GroupInvite.find({ userId, status: 'active', expiresAt: { $gt: new Date() } });
+  for (const invite of invites) {
+    try {
+      await bot.telegram.revokeChatInviteLink(PURCHASE_GROUP_ID, invite.inviteLink);
+    } catch (error) {
+      console.error(`Error revoking invite for ${userId}:`, error);
+    }
   }
+  await GroupInvite.updateMany({ userId, status: 'active' }, { status: 'revoked' });
+};
 
-  const buttons = [
-    [Markup.button.callback(`💳 PAY ${PURCHASE_GROUP_PRICE}`, "PURCHASE_GROUP_PAY")],
-    [Markup.button.callback("🔙 Back", "MAIN_MENU")]
-  ];
+// A fresh single-use, expiring link per request, replacing the user's earlier ones
+const createGroupInvite = async (userId) => {
+  if (!PURCHASE_GROUP_ID) return PURCHASE_GROUP_LINK;
 
-  await ctx.replyWithPhoto({ source: "./purchase_group.png" }, {
-    caption: `👥 *PURCHASE GROUP ACCESS (${PURCHASE_GROUP_PRICE})*\n\nGet exclusive content and offers in our private group!`,
-    parse_mode: "Markdown",
-    ...Markup.inlineKeyboard(buttons)
+  await revokeGroupInvites(userId);
+
+  const expiresAt = new Date(Date.now() + INVITE_LINK_HOURS * 3600000);
+  const link = await bot.telegram.createChatInviteLink(PURCHASE_GROUP_ID, {
+    name: `Buyer ${userId}`,
+    member_limit: 1,
+    expire_date: Math.floor(expiresAt.getTime() / 1000)
   });
-};
 
-const sendDemoContent = async (ctx) => {
-  clearMenuState(ctx);
-  ctx.session.currentMenu = 'demo';
+  await GroupInvite.create({ userId, inviteLink: link.invite_link, expiresAt });
+  return link.invite_link;
+};
 
+// Invite text for notices; grants must not fail because Telegram refused a link
+const groupInviteText = async (userId) => {
   try {
-    const msg = await ctx.replyWithPhoto({ source: "./demo.jpg" }, {
-      caption: "🆕 Here's a demo of our content (view once, expires in 20 seconds)",
-      has_spoiler: true
-    });
-
-    setTimeout(async () => {
-      try {
-        await ctx.telegram.deleteMessage(ctx.chat.id, msg.message_id);
-      } catch (error) {
-        console.error("Error deleting demo message:", error);
-      }
-    }, 20000);
+    const link = await createGroupInvite(userId);
+    return PURCHASE_GROUP_ID
+      ? `${link}\n(personal link, single use, valid for ${INVITE_LINK_HOURS} hours)`
+      : link;
   } catch (error) {
-    console.error("Error sending demo:", error);
-    await ctx.reply("⚠️ Error sending demo. Please try again.");
+    console.error(`Error creating invite for ${userId}:`, error);
+    return PURCHASE_GROUP_LINK;
   }
 };
 
-const sendVideoBatch = async (ctx, user, isFirstBatch = true) => {
-  clearMenuState(ctx);
-  ctx.session.currentMenu = 'videos';
+// Kick without a lasting ban so the user can rejoin if access is granted again
+const removeFromPurchaseGroup = async (userId) => {
+  if (!PURCHASE_GROUP_ID) return;
 
+  await revokeGroupInvites(userId);
   try {
-    let availableVideos = await Video.find({
-      _id: { $nin: user.viewedVideos }
-    });
+    await bot.telegram.banChatMember(PURCHASE_GROUP_ID, userId);
+    await bot.telegram.unbanChatMember(PURCHASE_GROUP_ID, userId, { only_if_banned: true });
+  } catch (error) {
+    console.error(`Error removing ${userId} from the purchase group:`, error);
+  }
+};
 
-    if (availableVideos.length < VIDEO_BATCH_SIZE) {
-      await User.updateOne(
-        { userId: user.userId },
-        { $set: { viewedVideos: [] } }
-      );
-      availableVideos = await Video.find({});
-    }
+// Apply what a paid order grants; returns one confirmation line per grant for the user
+const applyGrants = async (userId, grants) => {
+  const lines = [];
 
-    const selectedVideos = availableVideos
-      .sort(() => 0.5 - Math.random())
-      .slice(0, VIDEO_BATCH_SIZE);
+  if (grants.premiumDays > 0) {
+    const premiumUntil = await extendPremium(userId, grants.premiumDays);
+    lines.push(premiumUntil
+      ? `💎 Premium valid until ${formatDateTime(premiumUntil)}`
+      : `💎 You already have lifetime premium`);
+  }
+  if (grants.grantsGroup) {
+    await User.updateOne({ userId }, { hasPurchaseGroupAccess: true });
+    lines.push(`👥 Join the purchase group: ${await groupInviteText(userId)}`);
+  }
+  if (grants.bonusVideos > 0) {
+    await User.updateOne({ userId }, { $inc: { bonusVideos: grants.bonusVideos } });
+    lines.push(`🎁 ${grants.bonusVideos} bonus videos added`);
+  }
 
-    const sentMessageIds = [];
-    for (const video of selectedVideos) {
-      const msg = await ctx.replyWithVideo(video.fileId);
-      sentMessageIds.push(msg.message_id);
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
+  return lines;
+};
 
-    await scheduleDeletion(user.userId, sentMessageIds, ctx.chat.id);
+const generateOrderId = () =>
+  `ORD-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
 
-    await User.updateOne(
-      { userId: user.userId },
-      { 
-        $inc: { dailyCount: VIDEO_BATCH_SIZE },
-        $addToSet: { viewedVideos: { $each: selectedVideos.map(v => v._id) } }
-      }
-    );
+const parsePrice = (price) => parseFloat(String(price).replace(/[^\d.]/g, '')) || 0;
 
-    // Show different buttons based on whether it's the first batch
-    if (isFirstBatch) {
-      await ctx.reply(
-        "🎬 Enjoy your videos!",
-        Markup.inlineKeyboard([
-          [Markup.button.callback(`📥 GET ${VIDEO_BATCH_SIZE} MORE VIDEOS`, "GET_VIDEO")],
-          [Markup.button.callback("🏠 MAIN MENU", "MAIN_MENU")]
-        ])
-      );
+const productGrants = (product) => ({
+  premiumDays: product.premiumDays || 0,
+  grantsGroup: !!product.grantsGroup,
+  bonusVideos: product.bonusVideos || 0
+});
+
+const describeGrants = (grants) => [
+  grants.premiumDays > 0 && `${grants.premiumDays} days premium`,
+  grants.grantsGroup && 'purchase group access',
+  grants.bonusVideos > 0 && `${grants.bonusVideos} bonus videos`
+].filter(Boolean).join(' + ') || 'nothing';
+
+// Reuse the user's open order for the same product so repeated taps don't pile up
+const createPendingPayment = async (userId, product) => {
+  return Payment.findOneAndUpdate(
+    { userId, productId: product._id, status: 'pending', proofFileId: null },
+    { $setOnInsert: {
+      orderId: generateOrderId(),
+      productName: product.name,
+      grants: productGrants(product),
+      amount: product.price
+    } },
+    { upsert: true, new: true }
+  );
+};
+
+const buildPaymentCaption = (payment, name, username) =>
+  `🧾 *${escapeMarkdownV2(payment.productName)} Payment*\n\n` +
+  `• Order: \`${payment.orderId}\`\n` +
+  `• From: [${escapeMarkdownV2(name || 'Unknown')}](tg://user?id=${payment.userId})\n` +
+  `• Username: ${username ? '@' + escapeMarkdownV2(username) : 'None'}\n` +
+  `• User ID: \`${payment.userId}\`\n` +
+  `• Grants: ${escapeMarkdownV2(describeGrants(payment.grants))}\n` +
+  `• Amount: ₹${escapeMarkdownV2(payment.amount)}` +
+  (payment.utr ? `\n• UTR: \`${payment.utr}\`` : '');
+
+// Deep link to a review card; only supergroup messages can be linked
+const reviewCardLink = (payment) => {
+  const chatId = process.env.ADMIN_GROUP_ID || '';
+  if (!payment.reviewMessageId || !chatId.startsWith('-100')) return null;
+  return `https://t.me/c/${chatId.slice(4)}/${payment.reviewMessageId}`;
+};
+
+// Warning block for proofs whose UTR or screenshot was already submitted with another order
+const proofReuseWarning = async (payment) => {
+  const conditions = [
+    payment.utr && { utr: payment.utr },
+    payment.proofFileUniqueId && { proofFileUniqueId: payment.proofFileUniqueId }
+  ].filter(Boolean);
+  if (conditions.length === 0) return '';
+
+  const earlier = await Payment.find({ _id: { $ne: payment._id }, $or: conditions })
+    .sort({ proofSubmittedAt: 1 })
+    .limit(5);
+  if (earlier.length === 0) return '';
+
+  const lines = earlier.map(other => {
+    const matched = [
+      other.utr === payment.utr && 'UTR',
+      other.proofFileUniqueId === payment.proofFileUniqueId && 'screenshot'
+    ].filter(Boolean).join(' & ');
+    const link = reviewCardLink(other);
+    const order = link ? `[${escapeMarkdownV2(other.orderId)}](${link})` : `\`${other.orderId}\``;
+    return `• Same ${matched} as ${order} \\(user \`${other.userId}\`, ${other.status}\\)`;
+  });
+
+  return `\n\n⚠️ *Possible reused proof*\n${lines.join('\n')}`;
+};
+
+const isValidUtr = (utr) => /^\d{12}$/.test(utr);
+
+const paymentReviewButtons = (payment) => [
+  [
+    Markup.button.callback("✅ Approve", `VERIFY_${payment.orderId}`),
+    Markup.button.callback("❌ Reject", `REJECT_${payment.orderId}`)
+  ],
+  [
+    Markup.button.callback("🚫 Ban User", `BAN_${payment.userId}`),
+    Markup.button.callback("🗂 View User", `VIEW_USER_${payment.userId}`)
+  ]
+];
+
+// Review cards are photos, so edit the caption and fall back to a new message.
+// Pass `card` ({ chatId, messageId }) when not handling a tap on the card itself.
+// Reviews from the /pending queue tap a copy, so the admin-group card is updated too.
+const updatePaymentCard = async (ctx, payment, text, card = null) => {
+  const extra = { parse_mode: "MarkdownV2", reply_markup: { inline_keyboard: [] } };
+  try {
+    if (card) {
+      await bot.telegram.editMessageCaption(card.chatId, card.messageId, undefined, text, extra);
     } else {
-      await showMainMenu(ctx);
+      await ctx.editMessageCaption(text, extra);
     }
+  } catch (editError) {
+    console.log('Edit failed, sending new message:', editError);
+    await ctx.reply(text, { parse_mode: "MarkdownV2" });
+  }
+
+  const groupChatId = process.env.ADMIN_GROUP_ID;
+  const tapped = card || { chatId: ctx.chat?.id, messageId: ctx.callbackQuery?.message?.message_id };
+  if (!groupChatId || !payment.reviewMessageId) return;
+  if (String(tapped.chatId) === groupChatId && tapped.messageId === payment.reviewMessageId) return;
 
+  try {
+    await bot.telegram.editMessageCaption(groupChatId, payment.reviewMessageId, undefined, text, extra);
   } catch (error) {
-    console.error("Error sending videos:", error);
-    ctx.reply("⚠️ Error sending videos. Please try again.");
+    console.error(`Error updating review card for ${payment.orderId}:`, error);
   }
 };
 
-const showMainMenu = async (ctx) => {
-  clearMenuState(ctx);
-  ctx.session.currentMenu = 'main';
+const scheduleDeletion = async (userId, messageIds, chatId, {
+  delayMs = MESSAGE_DELETE_MINUTES * 60000,
+  kind = 'video'
+} = {}) => {
+  if (messageIds.length === 0) return;
+
+  const sentAt = new Date();
+  const deleteAt = new Date(sentAt.getTime() + delayMs);
+  await ScheduledDeletion.insertMany(messageIds.map(messageId => ({
+    chatId,
+    messageId,
+    userId,
+    kind,
+    sentAt,
+    deleteAt
+  })));
+};
 
-  const buttons = [
-    [Markup.button.callback(`📥 GET ${VIDEO_BATCH_SIZE} VIDEOS`, "GET_VIDEO")],
-    [Markup.button.callback("💳 SUBSCRIBE", "SUBSCRIBE")],
-    [Markup.button.callback("👥 PURCHASE GROUP", "PURCHASE_GROUP")],
-    [Markup.button.callback("🆕 DEMO", "DEMO")]
-  ];
+// Map a failed private send to the user status it reveals, if any
+const unreachableStatus = (error) => {
+  if (error.response?.error_code !== 403) return null;
+  if (error.description?.includes('user is deactivated')) return 'deactivated';
+  if (error.description?.includes('blocked by the user')) return 'blocked';
+  return null;
+};
 
-  await ctx.reply("🎬 MAIN MENU", Markup.inlineKeyboard(buttons));
+// Users are never deleted, so payment and premium history survive a block
+const setUserStatus = async (userId, status) => {
+  const result = await User.updateOne(
+    { userId, status: { $ne: status } },
+    { $set: { status, statusChangedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) console.log(`User ${userId} is now ${status}`);
 };
 
-const showAdminMenu = async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+const formatAmount = (amount) => amount.toFixed(2);
+
+// UPI deep link with the exact amount and the order ID as the transaction note,
+// so the order shows up in the payer's and payee's transaction history
+const buildUpiUri = (payment) => {
+  const params = {
+    pa: UPI_ID,
+    pn: UPI_PAYEE_NAME,
+    am: formatAmount(payment.amount),
+    cu: 'INR',
+    tn: payment.orderId
+  };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&');
+  return `upi://pay?${query}`;
+};
 
+const sendUPIDetails = async (ctx, product) => {
   clearMenuState(ctx);
-  ctx.session.currentMenu = 'admin';
+  const payment = await createPendingPayment(ctx.from.id, product);
+  ctx.session.waitingForPaymentProof = product._id.toString();
+  ctx.session.pendingOrderId = payment.orderId;
+  ctx.session.currentMenu = 'payment';
+
+  const caption =
+    `💳 *${escapeMarkdownV2(payment.productName)}*\n\n` +
+    `Order: \`${payment.orderId}\`\n` +
+    `Amount: ₹${escapeMarkdownV2(formatAmount(payment.amount))}\n\n` +
+    `1\\. Scan the QR with any UPI app \\(amount and order note are pre\\-filled\\)\n` +
+    `2\\. Send the payment screenshot here, then the UTR`;
 
   const buttons = [
-    [Markup.button.callback("📢 Broadcast Message", "ADMIN_BROADCAST_TEXT")],
-    [Markup.button.callback("📷 Broadcast Media", "ADMIN_BROADCAST_MEDIA")],
-    [Markup.button.callback("🎥 Upload Media", "ADMIN_UPLOAD_MEDIA")],
-    [Markup.button.callback("📺 Manage Channels", "ADMIN_MANAGE_CHANNELS")],
-    [Markup.button.callback("🗑 Delete Broadcast", "ADMIN_DELETE_BROADCAST")],
-    [Markup.button.callback("📊 Stats", "ADMIN_STATS")],
-    [Markup.button.callback("🔙 Main Menu", "MAIN_MENU")]
+    [Markup.button.callback("📋 Copy UPI ID", `COPY_UPI_${payment.orderId}`)],
+    [Markup.button.callback("🔙 Back", "MAIN_MENU")]
   ];
 
-  await ctx.reply("🛠 ADMIN PANEL", Markup.inlineKeyboard(buttons));
-};
+  // Rendered per order so the QR carries this order's amount and reference
+  const qr = await QRCode.toBuffer(buildUpiUri(payment), { width: 512, margin: 2 });
 
-// Scheduled jobs
-schedule.scheduleJob('*/1 * * * *', async () => {
-  const now = new Date();
-  const users = await User.find({
-    "sentMessages.deleteAt": { $lte: now }
+  await ctx.replyWithPhoto({ source: qr }, {
+    caption,
+    parse_mode: "MarkdownV2",
+    ...Markup.inlineKeyboard(buttons)
   });
+};
 
-  for (const user of users) {
-    const toDelete = user.sentMessages.filter(m => m.deleteAt <= now);
+const productButton = (product) =>
+  Markup.button.callback(`🛒 ${product.name} - ₹${formatAmount(product.price)}`, `PRODUCT_${product._id}`);
 
-    for (const msg of toDelete) {
-      try {
-        await bot.telegram.deleteMessage(msg.chatId, msg.messageId);
-      } catch (error) {
-        console.error(`Error deleting message ${msg.messageId}:`, error);
-      }
-    }
+const sendProductList = async (ctx) => {
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'products';
 
-    await User.updateOne(
-      { userId: user.userId },
-      { $pull: { sentMessages: { deleteAt: { $lte: now } } } }
-    );
-  }
+  const user = await User.findOne({ userId: ctx.from.id });
+  const products = await Product.find({ isActive: true }).sort({ price: 1 });
 
-  // Clean inactive users daily at midnight
-  if (new Date().getHours() === 0 && new Date().getMinutes() === 0) {
-    await cleanInactiveUsers();
+  let text = "🛍 *Plans & Access*\n\nPick what you'd like to buy\\.";
+  if (isPremiumActive(user)) {
+    text += user.premiumUntil
+      ? `\n\n✅ Your premium is active until *${escapeMarkdownV2(formatDateTime(user.premiumUntil))}*\\. Renewing adds the new days on top\\.`
+      : "\n\n✅ You already have lifetime premium\\.";
   }
-});
+  if (products.length === 0) text += "\n\nℹ️ Nothing is on sale right now\\.";
 
-schedule.scheduleJob("0 0 * * *", async () => {
-  await User.updateMany({}, { dailyCount: 0, lastReset: new Date() });
-});
-
-// Bot commands
-bot.start(async (ctx) => {
-  const userId = ctx.from.id;
-  await User.findOneAndUpdate({ userId }, {}, { upsert: true, new: true });
-  await showMainMenu(ctx);
-});
+  const buttons = products.map(product => [productButton(product)]);
+  buttons.push([Markup.button.callback("🔙 Back", "MAIN_MENU")]);
 
-bot.command("admin", showAdminMenu);
-
-// Button handlers
-bot.action("MAIN_MENU", showMainMenu);
-
-bot.action("GET_VIDEO", async (ctx) => {
-  const userId = ctx.from.id;
-  const user = await User.findOne({ userId });
+  await ctx.reply(text, {
+    parse_mode: "MarkdownV2",
+    ...Markup.inlineKeyboard(buttons)
+  });
+};
 
-  if (!user) return ctx.reply("⚠️ Please send /start first");
+const sendProductDetails = async (ctx, product) => {
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'product';
 
-  const dailyLimit = user.isPremium ? Infinity : parseInt(process.env.DAILY_VIDEO_LIMIT);
+  const user = await User.findOne({ userId: ctx.from.id });
 
-  if (user.dailyCount >= dailyLimit) {
-    return ctx.reply(
-      `⚠️ Daily limit reached (${dailyLimit} videos). Subscribe for unlimited access.`,
+  // Group-only products have nothing more to give once the user is in
+  if (product.grantsGroup && !product.premiumDays && !product.bonusVideos && user?.hasPurchaseGroupAccess) {
+    await ctx.reply(`✅ You already have access to the purchase group!`,
       Markup.inlineKeyboard([
-        [Markup.button.callback("💳 SUBSCRIBE", "SUBSCRIBE")],
-        [Markup.button.callback("🔙 Back", "MAIN_MENU")]
+        Markup.button.callback("👥 Get Invite Link", "GROUP_INVITE"),
+        Markup.button.callback("🔙 Back", "MAIN_MENU")
       ])
     );
+    return;
   }
 
-  await ctx.answerCbQuery();
-  const isFirstBatch = user.dailyCount === 0;
-  await sendVideoBatch(ctx, user, isFirstBatch);
-});
-
-bot.action("SUBSCRIBE", async (ctx) => {
-  await sendUPIDetails(ctx, 'premium');
-});
-
-bot.action("PURCHASE_GROUP", sendPurchaseGroupDetails);
-bot.action("PURCHASE_GROUP_PAY", async (ctx) => {
-  await sendUPIDetails(ctx, 'group');
-});
-
-bot.action("DEMO", sendDemoContent);
-
-bot.action("COPY_UPI", async (ctx) => {
-  await ctx.reply(`✅ UPI ID: \`${process.env.UPI_ID}\` (copy manually)`, { 
-    parse_mode: "Markdown",
+  const caption =
+    `*${escapeMarkdownV2(product.name)} \\(₹${escapeMarkdownV2(formatAmount(product.price))}\\)*\n\n` +
+    (product.description ? `${escapeMarkdownV2(product.description)}\n\n` : '') +
+    `Includes: ${escapeMarkdownV2(describeGrants(productGrants(product)))}`;
+  const extra = {
+    parse_mode: "MarkdownV2",
     ...Markup.inlineKeyboard([
-      Markup.button.callback("🔙 Back", "MAIN_MENU")
+      [Markup.button.callback(`💳 PAY ₹${formatAmount(product.price)}`, `BUY_${product._id}`)],
+      [Markup.button.callback("🔙 Back", "MAIN_MENU")]
     ])
-  });
-});
-
-
-
-// Payment proof handler - enhanced version with ban functionality
+  };
 
+  if (!product.image) return ctx.reply(caption, extra);
+  await ctx.replyWithPhoto(
+    product.image.startsWith('./') ? { source: product.image } : product.image,
+    { caption, ...extra }
+  );
+};
 
-// Payment proof handler with download/upload
-// Payment proof handler - fixed version
-bot.on("photo", async (ctx) => {
-  // Only handle private messages from non-admins
-  if (ctx.chat.type !== 'private' || isAdmin(ctx.from.id)) return;
+const sendDemoContent = async (ctx) => {
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'demo';
 
-  ctx.session = ctx.session || {};
+  try {
+    const msg = await ctx.replyWithPhoto({ source: "./demo.jpg" }, {
+      caption: "🆕 Here's a demo of our content (view once, expires in 20 seconds)",
+      has_spoiler: true
+    });
 
-  // Check if we're expecting a payment proof
-  if (ctx.session.waitingForPaymentProof) {
-    try {
-      await processPaymentProof(ctx, ctx.session.waitingForPaymentProof);
-      ctx.session.waitingForPaymentProof = null;
-    } catch (error) {
-      console.error("Payment proof handling error:", error);
-      await ctx.reply("⚠️ Failed to process your payment proof. Please try again.");
-    }
+    await scheduleDeletion(ctx.from.id, [msg.message_id], ctx.chat.id, { delayMs: 20000, kind: 'demo' });
+  } catch (error) {
+    console.error("Error sending demo:", error);
+    await ctx.reply("⚠️ Error sending demo. Please try again.");
   }
+};
+
+// Upload captions may carry #hashtags, which become the item's tags
+const parseMediaCaption = (text = '') => ({
+  caption: text.replace(/#\w+/g, '').trim(),
+  tags: [...new Set((text.match(/#\w+/g) || []).map(tag => tag.slice(1).toLowerCase()))]
 });
 
-// Fixed forwarding function
-async function processPaymentProof(ctx, paymentType) {
-  const userId = ctx.from.id;
-  const user = await User.findOne({ userId }) || {};
+// Categories offered to admins: the configured ones plus any already in use
+const getVideoCategories = async () => {
+  const used = await Video.distinct('category', { category: { $ne: null } });
+  return [...new Set([...VIDEO_CATEGORIES, ...used])].sort();
+};
 
-  try {
-    // Get the highest resolution photo
-    const photo = ctx.message.photo.pop();
-    const fileId = photo.file_id;
-
-    // Prepare caption
-    const caption = paymentType === 'group'
-      ? `🧾 *Purchase Group Payment*\n\n` +
-        `• From: [${escapeHtml(ctx.from.first_name)}](tg://user?id=${userId})\n` +
-        `• Username: ${user.username ? '@' + user.username : 'None'}\n` +
-        `• User ID: \`${userId}\`\n` +
-        `• Amount: ${PURCHASE_GROUP_PRICE}`
-      : `🧾 *Premium Payment*\n\n` +
-        `• From: [${escapeHtml(ctx.from.first_name)}](tg://user?id=${userId})\n` +
-        `• Username: ${user.username ? '@' + user.username : 'None'}\n` +
-        `• User ID: \`${userId}\``;
-
-    // Prepare buttons
-    const buttons = Markup.inlineKeyboard([
-      [
-        Markup.button.callback("✅ Approve", `VERIFY_${userId}_${paymentType.toUpperCase()}`),
-        Markup.button.callback("❌ Reject", `REJECT_${userId}`)
-      ],
-      [
-        Markup.button.callback("🚫 Ban User", `BAN_${userId}`),
-        Markup.button.callback("🗂 View User", `VIEW_USER_${userId}`)
-      ]
-    ]);
+// Names can be long or non-ASCII, so category buttons carry a short hash to stay
+// under Telegram's 64-byte callback data limit
+const categoryKey = (category) => crypto.createHash('sha1').update(category).digest('hex').slice(0, 10);
 
-    // Send to admin group
-    await ctx.telegram.sendPhoto(
-      process.env.ADMIN_GROUP_ID,
-      fileId,
-      {
-        caption: caption,
-        parse_mode: "MarkdownV2",
-        reply_markup: buttons.reply_markup
-      }
-    );
+// Resolve a button's category; buttons sent before hashing carry the plain name
+const findCategory = async (value) =>
+  (await getVideoCategories()).find(category => categoryKey(category) === value || category === value);
 
-    // Confirm to user
-    await ctx.reply(
-      "✅ Payment proof received! Our team will verify it within 24 hours.\n\n" +
-      "You'll receive a confirmation message once approved.",
-      Markup.inlineKeyboard([
-        Markup.button.url("📞 Contact Support", "https://t.me/malayali_admin")
-      ])
-    );
+const videoCategoryButtons = async (videoId) => {
+  const categories = await getVideoCategories();
+  const buttons = [];
 
-  } catch (error) {
-    console.error("Payment forwarding error:", error);
-    throw error;
+  // Show 2 categories per row
+  for (let i = 0; i < categories.length; i += 2) {
+    buttons.push(categories.slice(i, i + 2).map(category =>
+      Markup.button.callback(`📂 ${category}`, `VIDEO_CAT_${videoId}_${categoryKey(category)}`)
+    ));
   }
-}
+  buttons.push([
+    Markup.button.callback("➕ New Category", `VIDEO_NEWCAT_${videoId}`),
+    Markup.button.callback("✏️ Caption & Tags", `VIDEO_EDIT_${videoId}`)
+  ]);
 
-// Enhanced verification handler with proper error handling
-// Enhanced verification handler
-bot.action(/^VERIFY_(\d+)_(GROUP|PREMIUM)$/, async (ctx) => {
-  try {
-    if (!isAdmin(ctx.from.id)) {
-      return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
-    }
+  return buttons;
+};
 
-    const userId = parseInt(ctx.match[1]);
-    const verifyType = ctx.match[2].toLowerCase();
-    const user = await User.findOne({ userId });
+const MAX_CAPTION_LENGTH = 1024; // Telegram's limit for media captions
 
-    if (!user) {
-      return ctx.answerCbQuery("❌ User not found", { show_alert: true });
-    }
+const truncateText = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
 
-    // Update user status
-    const updateData = {
-      isBanned: false,
-      [verifyType === 'group' ? 'hasPurchaseGroupAccess' : 'isPremium']: true
-    };
+const sendMediaItem = (ctx, video, options = {}) => {
+  const extra = { ...(video.caption && { caption: truncateText(video.caption, MAX_CAPTION_LENGTH) }), ...options };
+  if (video.fileType === 'photo') return ctx.replyWithPhoto(video.fileId, extra);
+  if (video.fileType === 'document') return ctx.replyWithDocument(video.fileId, extra);
+  return ctx.replyWithVideo(video.fileId, extra);
+};
 
-    await User.updateOne({ userId }, updateData);
+// Random videos via server-side sampling. Unseen ones always come first; seen ones
+// only fill the batch once nothing unseen is left in the scope.
+const selectVideos = async (userId, category = null, size = VIDEO_BATCH_SIZE) => {
+  const scope = { isDisabled: { $ne: true }, ...(category && { category }) };
+  // Bounded by the VIEW_HISTORY_DAYS expiry on ViewHistory
+  const seenIds = await ViewHistory.distinct('videoId', { userId });
 
-    // Try to edit original message or send new one if edit fails
-    try {
-      await ctx.editMessageText(
-        `✅ *Payment Approved*\n\n` +
-        `User: [${user.first_name || 'Unknown'}](tg://user?id=${userId})\n` +
-        `Type: ${verifyType === 'group' ? 'Group Access' : 'Premium'}\n` +
-        `Approved by: @${ctx.from.username || ctx.from.first_name}\n` +
-        `At: ${new Date().toLocaleString()}`,
-        { 
-          parse_mode: "MarkdownV2",
-          reply_markup: { inline_keyboard: [] }
-        }
-      );
-    } catch (editError) {
-      console.log('Edit failed, sending new message:', editError);
-      await ctx.reply(
-        `✅ *Payment Approved*\n\n` +
-        `User: [${user.first_name || 'Unknown'}](tg://user?id=${userId})\n` +
-        `Type: ${verifyType === 'group' ? 'Group Access' : 'Premium'}\n` +
-        `Approved by: @${ctx.from.username || ctx.from.first_name}`,
-        { parse_mode: "MarkdownV2" }
-      );
+  const unseen = await Video.aggregate([
+    { $match: { ...scope, _id: { $nin: seenIds } } },
+    { $sample: { size } }
+  ]);
+  if (unseen.length >= size || seenIds.length === 0) return unseen;
+
+  const repeats = await Video.aggregate([
+    { $match: { ...scope, _id: { $in: seenIds } } },
+    { $sample: { size: size - unseen.length } }
+  ]);
+  return [...unseen, ...repeats];
+};
+
+const recordViews = async (userId, videos) => {
+  if (videos.length === 0) return;
+
+  const viewedAt = new Date();
+  await ViewHistory.bulkWrite(videos.map(video => ({
+    updateOne: {
+      filter: { userId, videoId: video._id },
+      update: { $set: { viewedAt } },
+      upsert: true
     }
+  })), { ordered: false });
+};
 
-    // Notify user
-    await bot.telegram.sendMessage(
-      userId,
-      verifyType === 'group'
-        ? `🎉 *Purchase Group Approved!*\n\nJoin here: ${PURCHASE_GROUP_LINK}`
-        : "🎉 *Premium Membership Approved!*",
-      { parse_mode: "Markdown" }
+// Move view history out of the old embedded `viewedVideos` arrays, one user at a time
+const migrateViewHistory = async () => {
+  try {
+    const cursor = User.collection.find(
+      { viewedVideos: { $exists: true } },
+      { projection: { userId: 1, viewedVideos: 1 } }
     );
 
-    await ctx.answerCbQuery("Approved successfully!");
+    let migrated = 0;
+    for await (const user of cursor) {
+      if (user.viewedVideos?.length) {
+        await recordViews(user.userId, user.viewedVideos.map(videoId => ({ _id: videoId })));
+      }
+      await User.collection.updateOne({ _id: user._id }, { $unset: { viewedVideos: 1 } });
+      migrated++;
+    }
 
+    if (migrated > 0) console.log(`Migrated view history for ${migrated} users`);
   } catch (error) {
-    console.error('Approval error:', error);
-    await ctx.answerCbQuery("⚠️ Failed to approve");
+    console.error("View history migration error:", error);
   }
-});
+};
 
-// Enhanced reject handler with same improvements
-bot.action(/^REJECT_(\d+)$/, async (ctx) => {
-  try {
-    if (!isAdmin(ctx.from.id)) {
-      return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
-    }
+// Send up to `size` videos; returns how many were actually delivered
+const sendVideoBatch = async (ctx, user, isFirstBatch = true, category = null, size = VIDEO_BATCH_SIZE) => {
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'videos';
 
-    const userId = parseInt(ctx.match[1]);
-    const user = await User.findOne({ userId });
+  const sentMessageIds = [];
+  const deliveredVideos = [];
 
-    if (!user) {
-      return ctx.answerCbQuery("❌ User not found", { show_alert: true });
-    }
+  try {
+    const selectedVideos = await selectVideos(user.userId, category, size);
 
-    // Try to edit original message or send new one
-    try {
-      await ctx.editMessageText(
-        `❌ *Payment Rejected*\n\n` +
-        `User: [${user.first_name || 'Unknown'}](tg://user?id=${userId})\n` +
-        `Rejected by: @${ctx.from.username || ctx.from.first_name}\n` +
-        `At: ${new Date().toLocaleString()}`,
-        { 
-          parse_mode: "MarkdownV2",
-          reply_markup: { inline_keyboard: [] }
-        }
-      );
-    } catch (editError) {
-      console.log('Edit failed, sending new message:', editError);
-      await ctx.reply(
-        `❌ *Payment Rejected*\n\n` +
-        `User: [${user.first_name || 'Unknown'}](tg://user?id=${userId})\n` +
-        `Rejected by: @${ctx.from.username || ctx.from.first_name}`,
-        { parse_mode: "MarkdownV2" }
+    if (selectedVideos.length === 0) {
+      await ctx.reply("ℹ️ No videos available here yet.",
+        Markup.inlineKeyboard([Markup.button.callback("🏠 MAIN MENU", "MAIN_MENU")])
       );
+      return 0;
     }
 
-    // Notify user
-    await bot.telegram.sendMessage(
-      userId,
-      "⚠️ *Payment Rejected*\n\n" +
-      "Your payment proof was not approved. Please contact support for assistance.",
-      {
-        parse_mode: "Markdown",
-        ...Markup.inlineKeyboard([
-          Markup.button.url("📞 Contact Support", "https://t.me/malayali_admin")
-        ])
-      }
-    );
-
-    await ctx.answerCbQuery("Rejected successfully!");
-
-  } catch (error) {
-    console.error('Rejection error:', error);
-    await ctx.answerCbQuery("⚠️ Failed to reject");
-  }
-});
-
-// Ban handler
-bot.action(/^BAN_(\d+)$/, async (ctx) => {
-  try {
-    if (!isAdmin(ctx.from.id)) {
-      return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+    for (const video of selectedVideos) {
+      const msg = await sendMediaItem(ctx, video);
+      sentMessageIds.push(msg.message_id);
+      deliveredVideos.push(video);
+      await new Promise(resolve => setTimeout(resolve, 500));
     }
 
-    const userId = parseInt(ctx.match[1]);
-    const user = await User.findOne({ userId });
-
-    if (!user) {
-      return ctx.answerCbQuery("❌ User not found", { show_alert: true });
+    // Show different buttons based on whether it's the first batch
+    if (isFirstBatch) {
+      await ctx.reply(
+        "🎬 Enjoy your videos!",
+        Markup.inlineKeyboard([
+          [Markup.button.callback(
+            `📥 GET ${VIDEO_BATCH_SIZE} MORE VIDEOS`,
+            category ? `BROWSE_CAT_${categoryKey(category)}` : "GET_VIDEO"
+          )],
+          [Markup.button.callback("🏠 MAIN MENU", "MAIN_MENU")]
+        ])
+      );
+    } else {
+      await showMainMenu(ctx);
     }
 
-    await User.updateOne({ userId }, { 
-      isBanned: true,
-      isPremium: false,
-      hasPurchaseGroupAccess: false
-    });
-
-    // Edit the original admin message
-    await ctx.editMessageText(
-      `🚫 *User Banned*\n\n` +
-      `User: [${user.first_name || 'Unknown'}](tg://user?id=${userId})\n` +
-      `Banned by: @${ctx.from.username || ctx.from.first_name}\n` +
-      `At: ${new Date().toLocaleString()}`,
-      { 
-        parse_mode: "MarkdownV2",
-        reply_markup: { inline_keyboard: [] } // Remove buttons after action
-      }
-    );
-
-    // Notify user
-    await bot.telegram.sendMessage(
-      userId,
-      "🚫 *Account Banned*\n\nAll premium access has been revoked.",
-      { parse_mode: "Markdown" }
-    );
-
-    await ctx.answerCbQuery("User banned successfully!");
-
   } catch (error) {
-    console.error('Ban error:', error);
-    await ctx.answerCbQuery("⚠️ Failed to ban user");
+    const status = unreachableStatus(error);
+    if (status) {
+      await setUserStatus(user.userId, status);
+    } else {
+      console.error("Error sending videos:", error);
+      ctx.reply("⚠️ Error sending videos. Please try again.");
+    }
+  } finally {
+    // Whatever was delivered before an error still expires and counts as viewed
+    await scheduleDeletion(user.userId, sentMessageIds, ctx.chat.id);
+    await recordViews(user.userId, deliveredVideos);
   }
-});
-
-// Additional user view handler
-bot.action(/^VIEW_USER_(\d+)$/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.answerCbQuery("❌ Admin only");
 
-  const userId = parseInt(ctx.match[1]);
-  const user = await User.findOne({ userId });
-
-  if (!user) {
-    return ctx.answerCbQuery("❌ User not found");
-  }
+  return deliveredVideos.length;
+};
 
-  await ctx.answerCbQuery(`👤 Viewing user ${userId}`);
+const userCardButtons = (user) => {
+  const { userId } = user;
+
+  return Markup.inlineKeyboard([
+    [
+      isPremiumActive(user)
+        ? Markup.button.callback("➖ Revoke Premium", `USER_PREMIUM_REVOKE_${userId}`)
+        : Markup.button.callback("💎 Grant Premium", `USER_PREMIUM_${userId}`),
+      user.hasPurchaseGroupAccess
+        ? Markup.button.callback("➖ Revoke Group", `USER_GROUP_REVOKE_${userId}`)
+        : Markup.button.callback("👑 Grant Group", `USER_GROUP_GRANT_${userId}`)
+    ],
+    [
+      Markup.button.callback("🔄 Reset Quota", `USER_RESET_QUOTA_${userId}`),
+      Markup.button.callback("🧹 Clear History", `USER_CLEAR_HISTORY_${userId}`)
+    ],
+    [
+      user.isBanned
+        ? Markup.button.callback("✅ Unban User", `USER_UNBAN_${userId}`)
+        : Markup.button.callback("🚫 Ban User", `BAN_${userId}`)
+    ]
+  ]);
+};
 
+// Pass `edit` to refresh the card in place after an action
+const showUserCard = async (ctx, user, { edit = false } = {}) => {
+  const { userId } = user;
+  const quota = getQuotaStatus(user);
+  const joinedAt = user.joinedAt || user._id.getTimestamp();
   const userInfo = `
 👤 *User Information*
 
-• Name: [${user.first_name || 'Unknown'}](tg://user?id=${userId})
-• Username: ${user.username ? '@' + user.username : 'None'}
+• Name: [${escapeMarkdownV2(user.first_name || 'Unknown')}](tg://user?id=${userId})
+• Username: ${user.username ? '@' + escapeMarkdownV2(user.username) : 'None'}
 • User ID: \`${userId}\`
-• Premium: ${user.isPremium ? '✅' : '❌'}
+• Language: ${escapeMarkdownV2(user.language_code || 'Unknown')}
+• Status: ${escapeMarkdownV2(user.status || 'active')}
+• Premium: ${isPremiumActive(user) ? '✅' : '❌'}
+• Premium Until: ${user.premiumUntil ? escapeMarkdownV2(formatDateTime(user.premiumUntil)) : (user.isPremium ? 'Lifetime' : 'None')}
 • Group Access: ${user.hasPurchaseGroupAccess ? '✅' : '❌'}
 • Banned: ${user.isBanned ? '🚫' : '✅'}
-• Videos Viewed: ${user.viewedVideos?.length || 0}
-• Last Active: ${user.lastReset ? new Date(user.lastReset).toLocaleString() : 'Unknown'}
+• Videos Viewed: ${await ViewHistory.countDocuments({ userId })}
+• Quota: ${quota.tier.label}, ${quota.used}/${quota.tier.limit === Infinity ? '∞' : quota.tier.limit} \\(${quota.tier.window}\\)
+• Bonus Videos: ${user.bonusVideos || 0}
+• Referrals: ${user.referralCount || 0}
+• Referred By: ${user.referredBy ? `\`${user.referredBy}\`` : 'None'}
+• Joined: ${escapeMarkdownV2(formatDateTime(joinedAt))}
+• Last Active: ${user.lastActiveAt ? escapeMarkdownV2(formatDateTime(user.lastActiveAt)) : 'Unknown'}
   `;
 
-  await ctx.replyWithMarkdownV2(userInfo);
-});
+  if (edit) {
+    return ctx.editMessageText(userInfo, { parse_mode: "MarkdownV2", ...userCardButtons(user) });
+  }
+  await ctx.replyWithMarkdownV2(userInfo, userCardButtons(user));
+};
 
-// Add ban check to all user interactions
-bot.use(async (ctx, next) => {
-  if (ctx.from && ctx.chat.type === 'private') {
-    const user = await User.findOne({ userId: ctx.from.id });
-    if (user?.isBanned) {
-      return ctx.reply("🚫 Your account has been banned. Contact support: @stephinjk");
+const notifyUser = async (userId, text) => {
+  try {
+    await bot.telegram.sendMessage(userId, text);
+  } catch (error) {
+    const status = unreachableStatus(error);
+    if (status) {
+      await setUserStatus(userId, status);
+    } else {
+      console.error(`Error notifying user ${userId}:`, error);
     }
   }
-  return next();
-});
-
-// Admin broadcast handlers
-bot.action("ADMIN_BROADCAST_TEXT", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+};
 
-  clearMenuState(ctx);
-  ctx.session.waitingForBroadcast = "text";
-  ctx.session.currentMenu = 'broadcast';
+// Admin actions on a single user, shared by the user card and the commands;
+// each returns the confirmation shown to the admin
+const userActions = {
+  grantPremium: async (admin, userId, days) => {
+    const premiumUntil = await extendPremium(userId, days);
+    if (!premiumUntil) return "ℹ️ User already has lifetime premium";
+
+    await recordAudit(admin, 'user.premium_grant', 'user', userId, { days, premiumUntil });
+    await notifyUser(userId, `🎉 You've been given ${days} days of premium!\n\nValid until: ${formatDateTime(premiumUntil)}`);
+    return `✅ Premium extended by ${days} days (until ${formatDateTime(premiumUntil)})`;
+  },
+  revokePremium: async (admin, userId) => {
+    await User.updateOne({ userId }, {
+      $set: { isPremium: false, premiumReminderSent: false },
+      $unset: { premiumUntil: 1 }
+    });
+    await recordAudit(admin, 'user.premium_revoke', 'user', userId);
+    await notifyUser(userId, "ℹ️ Your premium membership has been revoked.");
+    return "✅ Premium revoked";
+  },
+  grantGroup: async (admin, userId) => {
+    await User.updateOne({ userId }, { hasPurchaseGroupAccess: true });
+    await recordAudit(admin, 'user.group_grant', 'user', userId);
+    await notifyUser(userId, `🎉 You've been given Purchase Group access!\n\nJoin here: ${await groupInviteText(userId)}`);
+    return "✅ Group access granted";
+  },
+  revokeGroup: async (admin, userId) => {
+    await User.updateOne({ userId }, { hasPurchaseGroupAccess: false });
+    await removeFromPurchaseGroup(userId);
+    await recordAudit(admin, 'user.group_revoke', 'user', userId);
+    await notifyUser(userId, "ℹ️ Your Purchase Group access has been revoked.");
+    return "✅ Group access revoked";
+  },
+  unban: async (admin, userId) => {
+    await User.updateOne({ userId }, { isBanned: false });
+    await recordAudit(admin, 'user.unban', 'user', userId);
+    await notifyUser(userId, "✅ Your account has been unbanned. Send /start to continue.");
+    return "✅ User unbanned";
+  },
+  resetQuota: async (admin, userId) => {
+    await User.updateOne({ userId }, { quotaUsage: [] });
+    await recordAudit(admin, 'user.quota_reset', 'user', userId);
+    await notifyUser(userId, "🔄 Your video limit has been reset. Enjoy!");
+    return "✅ Quota reset";
+  },
+  // Silent: only changes which videos are picked next
+  clearHistory: async (admin, userId) => {
+    const { deletedCount } = await ViewHistory.deleteMany({ userId });
+    await recordAudit(admin, 'user.history_clear', 'user', userId, { deletedCount });
+    return `✅ Cleared ${deletedCount} viewed videos`;
+  }
+};
 
-  await ctx.reply("📢 Enter the broadcast message (or /cancel to abort):\n\nYou can mention:\n- @allusers (for all users)\n- @allgroups (for all groups)\n- @allchannels (for all channels)", 
-    Markup.inlineKeyboard([
-      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
-    ])
-  );
-});
+// Force-subscribe gate
+const JOINED_STATUSES = ['member', 'administrator', 'creator'];
 
-bot.on("text", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+const channelJoinUrl = (channel) => {
+  if (channel.inviteLink?.startsWith('https://')) return channel.inviteLink;
+  return channel.username ? `https://t.me/${channel.username}` : null;
+};
 
-  ctx.session = ctx.session || {};
+// Mandatory channels the user hasn't joined yet
+const getUnjoinedChannels = async (userId) => {
+  const channels = await Channel.find({ isMandatory: true });
+  const unjoined = [];
 
-  if (ctx.session.waitingForBroadcast === "text") {
-    const buttons = [
-      [Markup.button.callback("👤 Users", "CONFIRM_BROADCAST_TEXT_USERS")],
-      [Markup.button.callback("👥 Groups", "CONFIRM_BROADCAST_TEXT_GROUPS")],
-      [Markup.button.callback("📺 Channels", "CONFIRM_BROADCAST_TEXT_CHANNELS")],
-      [Markup.button.callback("🌐 All", "CONFIRM_BROADCAST_TEXT_ALL")],
-      [Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")]
-    ];
+  for (const channel of channels) {
+    try {
+      const member = await bot.telegram.getChatMember(channel.channelId, userId);
+      const joined = JOINED_STATUSES.includes(member.status) ||
+        (member.status === 'restricted' && member.is_member);
+      if (!joined) unjoined.push(channel);
+    } catch (error) {
+      // Don't lock users out when the bot can't check a channel
+      console.error(`Membership check failed for channel ${channel.channelId}:`, error);
+    }
+  }
 
-    await ctx.reply(
-      `📢 Broadcast Preview:\n\n${ctx.message.text}`,
-      Markup.inlineKeyboard(buttons)
-    );
+  return unjoined;
+};
 
-    ctx.session.broadcastData = { text: ctx.message.text };
-    ctx.session.waitingForBroadcast = null;
-  }
-});
+const sendJoinPrompt = async (ctx, channels) => {
+  const buttons = channels
+    .filter(channel => channelJoinUrl(channel))
+    .map(channel => [Markup.button.url(`📢 Join ${channel.title}`, channelJoinUrl(channel))]);
+  buttons.push([Markup.button.callback("✅ I've joined", "CHECK_JOINED")]);
 
-bot.action("ADMIN_BROADCAST_MEDIA", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+  await ctx.reply(
+    "📢 Please join our channels to get videos:\n\n" +
+    channels.map(channel => `• ${channel.title}`).join('\n'),
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+// Returns true when the user may continue; otherwise shows the join prompt
+const enforceChannelMembership = async (ctx) => {
+  if (isAdmin(ctx.from.id)) return true;
+
+  const unjoined = await getUnjoinedChannels(ctx.from.id);
+  if (unjoined.length === 0) return true;
+
+  await sendJoinPrompt(ctx, unjoined);
+  return false;
+};
 
+const showMainMenu = async (ctx) => {
   clearMenuState(ctx);
-  ctx.session.waitingForBroadcast = "media";
-  ctx.session.currentMenu = 'broadcast';
+  ctx.session.currentMenu = 'main';
 
-  await ctx.reply("📷 Send media to broadcast (photo/video/document):", 
-    Markup.inlineKeyboard([
-      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
-    ])
-  );
-});
+  const products = await Product.find({ isActive: true }).sort({ price: 1 });
 
-// Fixed media upload handler
-bot.action("ADMIN_UPLOAD_MEDIA", async (ctx) => {
+  const buttons = [
+    [Markup.button.callback(`📥 GET ${VIDEO_BATCH_SIZE} VIDEOS`, "GET_VIDEO")],
+    [Markup.button.callback("📂 BROWSE CATEGORIES", "BROWSE_CATEGORIES")],
+    ...products.map(product => [productButton(product)]),
+    [Markup.button.callback("🆕 DEMO", "DEMO")],
+    [Markup.button.callback("🎁 REFER & EARN", "REFERRAL")]
+  ];
+
+  await ctx.reply("🎬 MAIN MENU", Markup.inlineKeyboard(buttons));
+};
+
+const showAdminMenu = async (ctx) => {
   if (!isAdmin(ctx.from.id)) return;
 
   clearMenuState(ctx);
-  ctx.session.waitingForUpload = true;
-  ctx.session.currentMenu = 'upload';
+  ctx.session.currentMenu = 'admin';
 
-  await ctx.reply("🎥 Send media to add to the database:", 
-    Markup.inlineKeyboard([
-      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
-    ])
-  );
-});
+  // Buttons without a role are open to every admin
+  const buttons = [
+    ["📢 Broadcast Message", "ADMIN_BROADCAST_TEXT", 'broadcaster'],
+    ["📷 Broadcast Media", "ADMIN_BROADCAST_MEDIA", 'broadcaster'],
+    ["🎥 Upload Media", "ADMIN_UPLOAD_MEDIA", 'uploader'],
+    ["🗃 Media Library", "ADMIN_MEDIA_LIBRARY", 'uploader'],
+    ["📺 Manage Channels", "ADMIN_MANAGE_CHANNELS", 'owner'],
+    ["🛍 Products", "ADMIN_PRODUCTS", 'owner'],
+    ["🗂 Broadcast Campaigns", "ADMIN_CAMPAIGNS", 'broadcaster'],
+    ["🕒 Scheduled Broadcasts", "ADMIN_SCHEDULED_BROADCASTS", 'broadcaster'],
+    ["🧾 Pending Payments", "ADMIN_PENDING_PAYMENTS", 'payments'],
+    ["👮 Manage Admins", "ADMIN_ROLES", 'owner'],
+    ["📊 Stats", "ADMIN_STATS"],
+    ["🔙 Main Menu", "MAIN_MENU"]
+  ]
+    .filter(([, , role]) => !role || hasRole(ctx.from.id, role))
+    .map(([label, action]) => [Markup.button.callback(label, action)]);
 
-// Fixed media handler for both upload and broadcast
-bot.on(["photo", "video", "document"], async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+  await ctx.reply("🛠 ADMIN PANEL", Markup.inlineKeyboard(buttons));
+};
 
-  ctx.session = ctx.session || {};
+const showPendingPayment = async (ctx, index = 0) => {
+  if (!hasRole(ctx.from.id, 'payments')) return;
 
-  if (ctx.session.waitingForUpload) {
-    const fileType = ctx.message.photo ? 'photo' : 
-                    ctx.message.video ? 'video' : 'document';
-    const fileId = ctx.message.photo?.[0]?.file_id || 
-                  ctx.message.video?.file_id || 
-                  ctx.message.document?.file_id;
+  const filter = { status: 'pending', proofFileId: { $ne: null } };
+  const total = await Payment.countDocuments(filter);
 
-    try {
-      const exists = await Video.findOne({ fileId });
-      if (exists) {
-        await ctx.reply("⚠️ This media already exists in the database.");
-      } else {
-        await Video.create({ fileId, fileType });
-        await ctx.reply("✅ Media successfully uploaded to database!");
-      }
-    } catch (error) {
-      console.error("Error uploading media:", error);
-      await ctx.reply("⚠️ Error uploading media to database.");
-    }
-    ctx.session.waitingForUpload = false;
+  if (total === 0) {
+    await ctx.reply("✅ No payment proofs waiting for review.");
     return;
   }
 
-  if (ctx.session.waitingForBroadcast === "media") {
-    const fileId = ctx.message.photo?.[0]?.file_id || 
-                  ctx.message.video?.file_id || 
-                  ctx.message.document?.file_id;
-
-    const buttons = [
-      [Markup.button.callback("👤 Users", "CONFIRM_BROADCAST_MEDIA_USERS")],
-      [Markup.button.callback("👥 Groups", "CONFIRM_BROADCAST_MEDIA_GROUPS")],
-      [Markup.button.callback("📺 Channels", "CONFIRM_BROADCAST_MEDIA_CHANNELS")],
-      [Markup.button.callback("🌐 All", "CONFIRM_BROADCAST_MEDIA_ALL")],
-      [Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")]
-    ];
-
-    await ctx.reply(
-      `📢 Media Broadcast Preview\n\nCaption: ${ctx.message.caption || "None"}`,
-      Markup.inlineKeyboard(buttons)
-    );
+  const page = Math.min(Math.max(index, 0), total - 1);
+  const [payment] = await Payment.find(filter).sort({ proofSubmittedAt: 1 }).skip(page).limit(1);
+  const user = await User.findOne({ userId: payment.userId });
+
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback("◀️ Prev", `PENDING_PAGE_${page - 1}`));
+  if (page < total - 1) navigation.push(Markup.button.callback("Next ▶️", `PENDING_PAGE_${page + 1}`));
+
+  await ctx.replyWithPhoto(payment.proofFileId, {
+    caption:
+      `📋 *Pending review ${page + 1}/${total}*\n\n` +
+      buildPaymentCaption(payment, user?.first_name, user?.username) + `\n` +
+      `• Submitted: ${escapeMarkdownV2(payment.proofSubmittedAt.toLocaleString())}` +
+      await proofReuseWarning(payment),
+    parse_mode: "MarkdownV2",
+    ...Markup.inlineKeyboard([...paymentReviewButtons(payment), navigation])
+  });
+};
 
-    ctx.session.broadcastData = {
-      fileId,
-      type: ctx.message.photo ? "photo" : 
-           ctx.message.video ? "video" : "document",
-      caption: ctx.message.caption || ""
-    };
-    ctx.session.waitingForBroadcast = null;
-  }
-});
+// Scheduled jobs
+const DELETION_WINDOW_MS = 48 * 3600000; // bots can't delete older messages in private chats
 
-// Channel management
-bot.action("ADMIN_MANAGE_CHANNELS", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+const finishDeletion = (id, status, lastError) =>
+  ScheduledDeletion.updateOne({ _id: id }, { status, lastError, finishedAt: new Date() });
 
-  clearMenuState(ctx);
-  ctx.session.currentMenu = 'manage_channels';
+// Delete due messages in batches, retrying transient failures with backoff
+let deletionWorkerRunning = false;
 
-  const channels = await Channel.find();
-  const buttons = [
-    [Markup.button.callback("➕ Add Channel", "ADD_CHANNEL")],
-    [Markup.button.callback("➖ Remove Channel", "REMOVE_CHANNEL")],
-    [Markup.button.callback("📋 List Channels", "LIST_CHANNELS")],
-    [Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]
-  ];
+const processScheduledDeletions = async () => {
+  if (deletionWorkerRunning) return;
+  deletionWorkerRunning = true;
 
-  await ctx.reply(
-    "📺 Channel Management",
-    Markup.inlineKeyboard(buttons)
-  );
-});
+  try {
+    let batch;
+    do {
+      batch = await ScheduledDeletion.find({ status: 'pending', deleteAt: { $lte: new Date() } })
+        .sort({ deleteAt: 1 })
+        .limit(DELETION_BATCH_SIZE);
+
+      for (const entry of batch) {
+        if (entry.chatId > 0 && Date.now() - entry.sentAt.getTime() > DELETION_WINDOW_MS) {
+          await finishDeletion(entry._id, 'expired', 'Past the 48-hour deletion window');
+          continue;
+        }
 
+        try {
+          await bot.telegram.deleteMessage(entry.chatId, entry.messageId);
+          await ScheduledDeletion.deleteOne({ _id: entry._id });
+        } catch (error) {
+          const description = error.description || error.message;
+
+          if (description?.includes('message to delete not found')) {
+            await ScheduledDeletion.deleteOne({ _id: entry._id });
+          } else if (description?.includes("message can't be deleted")) {
+            await finishDeletion(entry._id, 'expired', description);
+          } else if (entry.attempts + 1 >= DELETION_MAX_ATTEMPTS) {
+            console.error(`Giving up deleting message ${entry.messageId} in ${entry.chatId}:`, error);
+            await finishDeletion(entry._id, 'failed', description);
+          } else {
+            const retryAfter = error.response?.parameters?.retry_after || 2 ** entry.attempts * 30;
+            await ScheduledDeletion.updateOne(
+              { _id: entry._id },
+              {
+                $inc: { attempts: 1 },
+                $set: { lastError: description, deleteAt: new Date(Date.now() + retryAfter * 1000) }
+              }
+            );
+          }
+        }
+      }
+    } while (batch.length === DELETION_BATCH_SIZE);
+  } catch (error) {
+    console.error("Scheduled deletion error:", error);
+  } finally {
+    deletionWorkerRunning = false;
+  }
+};
 
-// Add Channel Command
-bot.action("ADD_CHANNEL", async (ctx) => {
+// First run: build the catalog from PREMIUM_PLANS / PURCHASE_GROUP_PRICE, and give
+// payments from before the catalog a product snapshot
+const migrateProducts = async () => {
   try {
-    if (!isAdmin(ctx.from.id)) {
-      debug.log('Non-admin access attempt to ADD_CHANNEL by:', ctx.from.id);
-      return ctx.answerCbQuery("❌ Admin only");
+    if (await Product.countDocuments() === 0) {
+      await Product.insertMany([
+        ...PREMIUM_PLANS.map(plan => ({
+          name: `Premium ${plan.days} days`,
+          description: "Unlimited videos for the whole plan period.",
+          price: parsePrice(plan.price),
+          premiumDays: plan.days
+        })),
+        {
+          name: "Purchase Group",
+          description: "Get exclusive content and offers in our private group!",
+          price: parsePrice(PURCHASE_GROUP_PRICE),
+          image: "./purchase_group.png",
+          grantsGroup: true
+        }
+      ]);
+      console.log("Seeded the product catalog");
     }
 
-    // Clear previous state and set new
-    ctx.session = ctx.session || {};
-    ctx.session.waitingForChannelAdd = true;
-    ctx.session.currentMenu = 'add_channel';
-
-    debug.log('Admin started channel addition:', ctx.from.id, 'Session:', ctx.session);
+    const defaultDays = PREMIUM_PLANS[0]?.days || 30;
+    await Payment.collection.updateMany({ product: 'premium' }, [
+      { $set: { grants: {
+        premiumDays: { $ifNull: ["$planDays", defaultDays] },
+        grantsGroup: false,
+        bonusVideos: 0
+      } } },
+      { $set: { productName: { $concat: ["Premium ", { $toString: "$grants.premiumDays" }, " days"] } } },
+      { $unset: ["product", "planDays"] }
+    ]);
+    await Payment.collection.updateMany({ product: 'group' }, [
+      { $set: {
+        grants: { premiumDays: 0, grantsGroup: true, bonusVideos: 0 },
+        productName: "Purchase Group"
+      } },
+      { $unset: ["product", "planDays"] }
+    ]);
+  } catch (error) {
+    console.error("Product migration error:", error);
+  }
+};
 
-    await ctx.reply(
-      `📢 <b>How to add a channel:</b>\n\n` +
-      `1. Add @${ctx.botInfo.username} as admin to your channel\n` +
-      `2. Make sure bot has <b>post messages</b> permission\n` +
-      `3. <b>Forward</b> any message from that channel here\n\n` +
-      `<b>OR</b> send the channel ID (like @channelname or -1001234567890)\n\n` +
-      `<i>Current status: Waiting for channel info...</i>`,
-      {
-        parse_mode: 'HTML',
-        ...Markup.inlineKeyboard([
-          Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
-        ]),
-        disable_web_page_preview: true
-      }
+// Move the old per-user `sentMessages` arrays into the deletion queue
+const migrateScheduledDeletions = async () => {
+  try {
+    const cursor = User.collection.find(
+      { sentMessages: { $exists: true } },
+      { projection: { userId: 1, sentMessages: 1 } }
     );
 
-    await ctx.answerCbQuery();
+    for await (const user of cursor) {
+      if (user.sentMessages?.length) {
+        await ScheduledDeletion.insertMany(user.sentMessages.map(message => ({
+          chatId: message.chatId,
+          messageId: message.messageId,
+          userId: user.userId,
+          sentAt: new Date(message.deleteAt.getTime() - MESSAGE_DELETE_MINUTES * 60000),
+          deleteAt: message.deleteAt
+        })));
+      }
+      await User.collection.updateOne({ _id: user._id }, { $unset: { sentMessages: 1 } });
+    }
   } catch (error) {
-    debug.error('ADD_CHANNEL command failed:', error);
-    await ctx.reply('⚠️ Error starting channel addition');
+    console.error("Scheduled deletion migration error:", error);
   }
-});
+};
 
-// Channel Message Handler
-bot.on('message', async (ctx) => {
+// Broadcasts sent before campaigns existed have no campaignId; group them into one
+// completed campaign per distinct message so they can still be deleted or edited
+const migrateLegacyBroadcasts = async () => {
   try {
-    debug.log('Received message:', {
-      text: ctx.message.text,
-      forwardFrom: ctx.message.forward_from_chat,
-      from: ctx.from.id,
-      session: ctx.session
-    });
+    const groups = await Broadcast.aggregate([
+      { $match: { campaignId: null } },
+      { $group: {
+        _id: "$content",
+        targetTypes: { $addToSet: "$targetType" },
+        firstSentAt: { $min: "$sentAt" },
+        lastSentAt: { $max: "$sentAt" },
+        count: { $sum: 1 }
+      } }
+    ]);
 
-    // Skip if not in channel add mode or not from admin
-    if (!ctx.session?.waitingForChannelAdd || !isAdmin(ctx.from.id)) {
-      debug.log('Skipping message - not in channel add mode');
-      return;
+    for (const group of groups) {
+      const targetTypes = group.targetTypes.filter(Boolean);
+      const job = await BroadcastJob.create({
+        target: targetTypes.length === 1 ? `${targetTypes[0]}s` : 'all',
+        content: group._id || {},
+        status: 'completed',
+        total: group.count,
+        sent: group.count,
+        createdAt: group.firstSentAt,
+        startedAt: group.firstSentAt,
+        finishedAt: group.lastSentAt
+      });
+      await Broadcast.updateMany({ campaignId: null, content: group._id }, { campaignId: job._id });
     }
 
-    let channelId, title, username;
+    if (groups.length > 0) console.log(`Grouped legacy broadcasts into ${groups.length} campaigns`);
+  } catch (error) {
+    console.error("Legacy broadcast migration error:", error);
+  }
+};
 
-    // Handle forwarded messages
-    if (ctx.message.forward_from_chat?.type === 'channel') {
-      debug.log('Processing forwarded channel message');
-      channelId = ctx.message.forward_from_chat.id.toString();
-      title = ctx.message.forward_from_chat.title || "Unnamed Channel";
-      username = ctx.message.forward_from_chat.username;
-    } 
-    // Handle direct text input
-    else if (ctx.message.text) {
-      const input = ctx.message.text.trim();
-      debug.log('Processing channel ID input:', input);
+// Every 10 seconds so short-lived demo messages disappear on time
+schedule.scheduleJob('*/10 * * * * *', processScheduledDeletions);
 
-      if (!/^(@\w+|-\d+)$/.test(input)) {
-        await ctx.reply('⚠️ Please use @channelname or -1001234567890 format');
-        return;
-      }
+// Premium expiry and renewal reminders
+const checkPremiumExpiry = async () => {
+  const now = new Date();
+  const renewButton = Markup.inlineKeyboard([
+    Markup.button.callback("🔄 Renew Premium", "SUBSCRIBE")
+  ]);
+
+  try {
+    const expiredUsers = await User.find({ isPremium: true, premiumUntil: { $lte: now } });
+    for (const user of expiredUsers) {
+      // Skip users who renewed since the find above
+      const { modifiedCount } = await User.updateOne(
+        { userId: user.userId, isPremium: true, premiumUntil: { $lte: now } },
+        { isPremium: false, premiumReminderSent: false }
+      );
+      if (modifiedCount === 0) continue;
 
       try {
-        const chat = await ctx.telegram.getChat(input);
-        if (chat.type !== 'channel') {
-          await ctx.reply('⚠️ This is not a channel');
-          return;
-        }
-        channelId = chat.id.toString();
-        title = chat.title || "Unnamed Channel";
-        username = chat.username;
+        await bot.telegram.sendMessage(
+          user.userId,
+          "⌛ *Premium Expired*\n\nYour premium plan has ended and the daily video limit applies again.",
+          { parse_mode: "Markdown", ...renewButton }
+        );
       } catch (error) {
-        debug.error('Channel lookup failed:', error);
-        await ctx.reply('⚠️ Could not find channel. Make sure:\n1. Channel exists\n2. Bot is admin\n3. ID is correct');
-        return;
+        console.error(`Error notifying user ${user.userId} about expiry:`, error);
       }
-    } else {
-      debug.log('Ignoring message - not a channel message');
-      return;
     }
 
-    // Verify bot is admin in channel
-    try {
-      debug.log('Checking bot admin status in channel:', channelId);
-      const botMember = await ctx.telegram.getChatMember(channelId, ctx.botInfo.id);
-
-      if (!['administrator', 'creator'].includes(botMember.status)) {
-        await ctx.reply('❌ Bot must be admin with post permissions');
-        return;
+    const reminderUsers = await User.find({
+      isPremium: true,
+      premiumReminderSent: { $ne: true },
+      premiumUntil: { $gt: now, $lte: new Date(now.getTime() + PREMIUM_REMINDER_DAYS * 86400000) }
+    });
+    for (const user of reminderUsers) {
+      try {
+        await bot.telegram.sendMessage(
+          user.userId,
+          `⏰ *Premium Expiring Soon*\n\nYour premium ends on *${user.premiumUntil.toLocaleDateString()}*. ` +
+          `Renew now and the new days are added on top of your remaining time.`,
+          { parse_mode: "Markdown", ...renewButton }
+        );
+      } catch (error) {
+        console.error(`Error sending premium reminder to ${user.userId}:`, error);
       }
-    } catch (error) {
-      debug.error('Admin check failed:', error);
-      await ctx.reply('⚠️ Could not verify admin status. Please add bot as admin first');
-      return;
+      await User.updateOne({ userId: user.userId }, { premiumReminderSent: true });
     }
+  } catch (error) {
+    console.error("Premium expiry check error:", error);
+  }
+};
 
-    // Check if channel exists
-    const existing = await Channel.findOne({ channelId });
-    if (existing) {
-      await ctx.reply(`ℹ️ Channel "${title}" already exists`);
-      return;
-    }
+schedule.scheduleJob("0 * * * *", checkPremiumExpiry);
 
-    // Create invite link
-    let inviteLink;
-    try {
-      inviteLink = await ctx.telegram.exportChatInviteLink(channelId);
-    } catch (error) {
-      debug.log('Could not get invite link, using fallback:', error);
-      inviteLink = username ? `https://t.me/${username}` : `(No invite link available)`;
-    }
+// Bot commands
+bot.start(async (ctx) => {
+  const userId = ctx.from.id;
 
-    // Save to database
+  // Deep-link payload "ref_<code>" from a referral link
+  const referralCode = ctx.payload?.match(/^ref_([A-Z0-9]+)$/)?.[1];
+  const referrer = referralCode ? await User.findOne({ referralCode }) : null;
+  const referredBy = referrer && referrer.userId !== userId ? referrer.userId : undefined;
+
+  const result = await User.findOneAndUpdate(
+    { userId },
+    { $set: telegramProfile(ctx.from), $setOnInsert: { referredBy, joinedAt: new Date() } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  // Only brand-new users count as referrals
+  if (!result.lastErrorObject?.updatedExisting && referredBy) {
+    await rewardReferrer(referredBy);
+  }
+
+  if (!await enforceChannelMembership(ctx)) return;
+  await showMainMenu(ctx);
+});
+
+bot.command("admin", showAdminMenu);
+bot.command("pending", (ctx) => showPendingPayment(ctx));
+
+// /bonus <userId> <count> grants one-off video credits on top of the user's tier
+bot.command("bonus", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return;
+
+  const [userIdArg, countArg] = ctx.args;
+  const userId = parseInt(userIdArg);
+  const count = parseInt(countArg);
+
+  if (!userId || !count) {
+    return ctx.reply("Usage: /bonus <userId> <count> (negative count removes credits)");
+  }
+
+  const user = await User.findOneAndUpdate(
+    { userId },
+    [{ $set: { bonusVideos: { $max: [0, { $add: [{ $ifNull: ["$bonusVideos", 0] }, count] }] } } }],
+    { new: true }
+  );
+  if (!user) return ctx.reply("❌ User not found");
+
+  await recordAudit(ctx.from, 'user.bonus', 'user', userId, { count, balance: user.bonusVideos });
+  await ctx.reply(`✅ User ${userId} now has ${user.bonusVideos} bonus videos.`);
+
+  if (count > 0) {
     try {
-      debug.log('Saving channel to database:', { channelId, title });
-      await Channel.create({
-        channelId,
-        title,
-        username,
-        inviteLink,
-        addedBy: ctx.from.id
-      });
+      await bot.telegram.sendMessage(userId, `🎁 You received ${count} bonus videos!`);
     } catch (error) {
-      debug.error('Database save failed:', error);
-      await ctx.reply('⚠️ Error saving channel to database');
-      return;
+      console.error(`Error notifying user ${userId} about bonus:`, error);
+    }
+  }
+});
+
+// /user <id | @username | name> finds users and opens their card
+bot.command("user", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return;
+
+  const query = ctx.payload.trim();
+  if (!query) {
+    return ctx.reply("Usage: /user <userId | @username | name>");
+  }
+
+  let users;
+  if (/^\d+$/.test(query)) {
+    users = await User.find({ userId: parseInt(query) });
+  } else if (query.startsWith('@')) {
+    users = await User.find({ username: new RegExp(`^${escapeRegex(query.slice(1))}$`, 'i') });
+  } else {
+    users = await User.find({ first_name: new RegExp(escapeRegex(query), 'i') })
+      .sort({ lastActiveAt: -1 })
+      .limit(USER_SEARCH_LIMIT + 1);
+  }
+
+  if (users.length === 0) return ctx.reply("❌ No matching users");
+  if (users.length === 1) return showUserCard(ctx, users[0]);
+
+  const buttons = users.slice(0, USER_SEARCH_LIMIT).map(user => [Markup.button.callback(
+    `${user.first_name || 'Unknown'}${user.username ? ` (@${user.username})` : ''} · ${user.userId}`,
+    `VIEW_USER_${user.userId}`
+  )]);
+
+  await ctx.reply(
+    users.length > USER_SEARCH_LIMIT
+      ? `🔍 More than ${USER_SEARCH_LIMIT} matches, showing the most recently active:`
+      : `🔍 ${users.length} matches:`,
+    Markup.inlineKeyboard(buttons)
+  );
+});
+
+// Command versions of the user card actions
+const USER_COMMANDS = {
+  premium: {
+    usage: "/premium <userId> <days | revoke>",
+    run: (admin, userId, [arg]) => {
+      if (arg === 'revoke') return userActions.revokePremium(admin, userId);
+      const days = parseInt(arg);
+      return days > 0 ? userActions.grantPremium(admin, userId, days) : null;
     }
+  },
+  group: {
+    usage: "/group <userId> <grant | revoke>",
+    run: (admin, userId, [arg]) => {
+      if (arg === 'grant') return userActions.grantGroup(admin, userId);
+      if (arg === 'revoke') return userActions.revokeGroup(admin, userId);
+      return null;
+    }
+  },
+  unban: { usage: "/unban <userId>", run: userActions.unban },
+  resetquota: { usage: "/resetquota <userId>", run: userActions.resetQuota },
+  clearhistory: { usage: "/clearhistory <userId>", run: userActions.clearHistory }
+};
 
-    // Update in-memory list
-    if (!CHANNEL_IDS.includes(channelId)) {
-      CHANNEL_IDS.push(channelId);
+for (const [command, { usage, run }] of Object.entries(USER_COMMANDS)) {
+  bot.command(command, async (ctx) => {
+    if (!hasRole(ctx.from.id, 'payments')) return;
+
+    const [userIdArg, ...args] = ctx.args;
+    const userId = parseInt(userIdArg);
+    if (!userId) return ctx.reply(`Usage: ${usage}`);
+
+    try {
+      if (!await User.exists({ userId })) return ctx.reply("❌ User not found");
+
+      const result = await run(ctx.from, userId, args);
+      await ctx.reply(result || `Usage: ${usage}`);
+    } catch (error) {
+      console.error(`/${command} error for ${userId}:`, error);
+      await ctx.reply("⚠️ Action failed");
     }
+  });
+}
 
-    // Success message
-    await ctx.replyWithMarkdown(
-      `✅ *Channel Added!*\n\n` +
-      `*Name:* ${title}\n` +
-      `*ID:* \`${channelId}\`\n` +
-      `*Link:* ${inviteLink}`,
+// Build an audit query from "admin:<id|@username> action:<name or prefix> from:<date> to:<date>"
+const parseAuditFilters = (args) => {
+  const query = {};
+
+  for (const arg of args) {
+    const [key, ...rest] = arg.split(':');
+    const value = rest.join(':');
+    if (!value) continue;
+
+    if (key === 'admin') {
+      if (/^\d+$/.test(value)) query.adminId = parseInt(value);
+      else query.adminName = value;
+    } else if (key === 'action') {
+      query.action = new RegExp(`^${escapeRegex(value)}`);
+    } else if (key === 'from' || key === 'to') {
+      const date = parseDateTime(`${value} 00:00`);
+      if (!date) return null;
+      query.createdAt = query.createdAt || {};
+      // "to" includes the whole day
+      if (key === 'from') query.createdAt.$gte = date;
+      else query.createdAt.$lt = new Date(date.getTime() + 86400000);
+    } else {
+      return null;
+    }
+  }
+
+  return query;
+};
+
+const csvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+const auditCsv = (entries) => [
+  ['time', 'adminId', 'adminName', 'action', 'targetType', 'targetId', 'details'].join(','),
+  ...entries.map(entry => [
+    entry.createdAt.toISOString(),
+    entry.adminId,
+    entry.adminName,
+    entry.action,
+    entry.targetType,
+    entry.targetId,
+    JSON.stringify(entry.details || {})
+  ].map(csvField).join(','))
+].join('\n');
+
+// /audit [filters] [csv] lists recent admin actions or exports them as a CSV file
+bot.command("audit", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  const asCsv = ctx.args.includes('csv');
+  const query = parseAuditFilters(ctx.args.filter(arg => arg !== 'csv'));
+  if (!query) {
+    return ctx.reply(
+      "Usage: /audit [admin:<id|@username>] [action:<name>] [from:YYYY-MM-DD] [to:YYYY-MM-DD] [csv]\n\n" +
+      "Actions can be prefixes, e.g. action:payment"
+    );
+  }
+
+  try {
+    if (asCsv) {
+      const entries = await AuditLog.find(query).sort({ createdAt: 1 });
+      if (entries.length === 0) return ctx.reply("ℹ️ No matching audit entries");
+
+      return ctx.replyWithDocument(
+        { source: Buffer.from(auditCsv(entries)), filename: `audit-${new Date().toISOString().slice(0, 10)}.csv` },
+        { caption: `🧾 ${entries.length} audit entries` }
+      );
+    }
+
+    const total = await AuditLog.countDocuments(query);
+    if (total === 0) return ctx.reply("ℹ️ No matching audit entries");
+
+    const entries = await AuditLog.find(query).sort({ createdAt: -1 }).limit(AUDIT_PAGE_SIZE);
+    const lines = entries.map(entry => {
+      const details = JSON.stringify(entry.details || {});
+      return `${formatDateTime(entry.createdAt)} · ${entry.adminName || entry.adminId} · ${entry.action}` +
+        `${entry.targetId ? ` · ${entry.targetType} ${entry.targetId}` : ''}` +
+        `${details !== '{}' ? `\n   ${details.slice(0, 120)}` : ''}`;
+    });
+
+    await ctx.reply(
+      `🧾 Audit log (${entries.length} of ${total}, newest first)\n\n${lines.join('\n')}` +
+      (total > entries.length ? `\n\nAdd "csv" to export all ${total}.` : '')
+    );
+  } catch (error) {
+    console.error("Audit log error:", error);
+    await ctx.reply("⚠️ Error reading audit log");
+  }
+});
+
+// Button handlers
+bot.action("MAIN_MENU", showMainMenu);
+
+// Serve a batch from the whole library or one category, enforcing the daily limit
+const handleVideoRequest = async (ctx, category = null) => {
+  const userId = ctx.from.id;
+  const user = await User.findOne({ userId });
+
+  if (!user) return ctx.reply("⚠️ Please send /start first");
+
+  if (!await enforceChannelMembership(ctx)) {
+    return ctx.answerCbQuery();
+  }
+
+  const quota = getQuotaStatus(user);
+
+  if (quota.available <= 0) {
+    const windowText = quota.tier.window === 'rolling' ? 'in the last 24 hours' : 'today';
+    return ctx.reply(
+      `⚠️ Limit reached (${quota.tier.limit} videos ${windowText} on the ${quota.tier.label} plan). ` +
+      `Subscribe for unlimited access or refer friends for bonus videos.`,
       Markup.inlineKeyboard([
-        Markup.button.callback("🏠 Menu", "MAIN_MENU"),
-        Markup.button.callback("🛠 Admin", "ADMIN_MENU")
+        [Markup.button.callback("💳 SUBSCRIBE", "SUBSCRIBE")],
+        [Markup.button.callback("🎁 REFER & EARN", "REFERRAL")],
+        [Markup.button.callback("🔙 Back", "MAIN_MENU")]
+      ])
+    );
+  }
+
+  await ctx.answerCbQuery();
+  const isFirstBatch = quota.used === 0;
+  const delivered = await sendVideoBatch(
+    ctx, user, isFirstBatch, category, Math.min(VIDEO_BATCH_SIZE, quota.available)
+  );
+  await consumeQuota(userId, quota, delivered);
+};
+
+bot.action("GET_VIDEO", (ctx) => handleVideoRequest(ctx));
+
+bot.action("BROWSE_CATEGORIES", async (ctx) => {
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'categories';
+
+  const categories = (await Video.distinct('category', {
+    category: { $ne: null },
+    isDisabled: { $ne: true }
+  })).sort();
+  await ctx.answerCbQuery();
+
+  if (categories.length === 0) {
+    await ctx.reply("ℹ️ No categories available yet.",
+      Markup.inlineKeyboard([Markup.button.callback("🔙 Back", "MAIN_MENU")])
+    );
+    return;
+  }
+
+  const buttons = categories.map(category => [
+    Markup.button.callback(`📂 ${category}`, `BROWSE_CAT_${categoryKey(category)}`)
+  ]);
+  buttons.push([Markup.button.callback("🔙 Back", "MAIN_MENU")]);
+
+  await ctx.reply("📂 Choose a category:", Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^BROWSE_CAT_(.+)$/, async (ctx) => {
+  const category = await findCategory(ctx.match[1]);
+  if (!category) {
+    return ctx.answerCbQuery("⚠️ This category no longer exists", { show_alert: true });
+  }
+  await handleVideoRequest(ctx, category);
+});
+
+bot.action("CHECK_JOINED", async (ctx) => {
+  const unjoined = await getUnjoinedChannels(ctx.from.id);
+
+  if (unjoined.length > 0) {
+    return ctx.answerCbQuery(
+      `⚠️ You still need to join: ${unjoined.map(channel => channel.title).join(', ')}`,
+      { show_alert: true }
+    );
+  }
+
+  await ctx.answerCbQuery("✅ Thanks for joining!");
+  await ctx.deleteMessage().catch(() => {});
+  await showMainMenu(ctx);
+});
+
+// Also serves buttons on messages sent before products were configurable
+bot.action(/^(SUBSCRIBE|PURCHASE_GROUP)(_PLAN_\d+|_PAY)?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await sendProductList(ctx);
+});
+
+bot.action(/^PRODUCT_([a-f0-9]{24})$/, async (ctx) => {
+  const product = await Product.findOne({ _id: ctx.match[1], isActive: true });
+  if (!product) {
+    return ctx.answerCbQuery("⚠️ This product is no longer available", { show_alert: true });
+  }
+
+  await ctx.answerCbQuery();
+  await sendProductDetails(ctx, product);
+});
+
+bot.action(/^BUY_([a-f0-9]{24})$/, async (ctx) => {
+  const product = await Product.findOne({ _id: ctx.match[1], isActive: true });
+  if (!product) {
+    return ctx.answerCbQuery("⚠️ This product is no longer available", { show_alert: true });
+  }
+
+  await ctx.answerCbQuery();
+  await sendUPIDetails(ctx, product);
+});
+
+// Buyers who lost or let their link expire can get a new one
+bot.action("GROUP_INVITE", async (ctx) => {
+  const user = await User.findOne({ userId: ctx.from.id });
+  if (!user?.hasPurchaseGroupAccess) {
+    return ctx.answerCbQuery("⚠️ You don't have purchase group access", { show_alert: true });
+  }
+
+  try {
+    const link = await createGroupInvite(user.userId);
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      PURCHASE_GROUP_ID
+        ? `👥 Your personal invite link (single use, valid for ${INVITE_LINK_HOURS} hours):`
+        : `👥 Join the purchase group:`,
+      Markup.inlineKeyboard([Markup.button.url("👥 Join Purchase Group", link)])
+    );
+  } catch (error) {
+    console.error(`Error creating invite for ${user.userId}:`, error);
+    await ctx.answerCbQuery("⚠️ Couldn't create an invite link. Please try again later.", { show_alert: true });
+  }
+});
+
+// From a rejection notice: start a fresh order for the same product
+bot.action(/^RESUBMIT_(ORD-[A-Z0-9]+)$/, async (ctx) => {
+  const payment = await Payment.findOne({ orderId: ctx.match[1], userId: ctx.from.id });
+  if (!payment) return ctx.answerCbQuery("❌ Order not found", { show_alert: true });
+
+  await ctx.answerCbQuery();
+  const product = payment.productId && await Product.findOne({ _id: payment.productId, isActive: true });
+  if (!product) return sendProductList(ctx);
+  await sendUPIDetails(ctx, product);
+});
+
+bot.action("DEMO", sendDemoContent);
+
+bot.action("REFERRAL", async (ctx) => {
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'referral';
+
+  const user = await User.findOne({ userId: ctx.from.id });
+  if (!user) return ctx.reply("⚠️ Please send /start first");
+
+  const code = await ensureReferralCode(user);
+  const link = `https://t.me/${ctx.botInfo.username}?start=ref_${code}`;
+
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `🎁 REFER & EARN\n\n` +
+    `Invite friends with your personal link. For every new user who joins, you get ${referralRewardText()}.\n\n` +
+    `🔗 ${link}\n\n` +
+    `👥 Referrals: ${user.referralCount || 0}\n` +
+    `🎬 Bonus videos left: ${user.bonusVideos || 0}`,
+    {
+      disable_web_page_preview: true,
+      ...Markup.inlineKeyboard([
+        [Markup.button.url("📤 Share Link", `https://t.me/share/url?url=${encodeURIComponent(link)}`)],
+        [Markup.button.callback("🔙 Back", "MAIN_MENU")]
+      ])
+    }
+  );
+});
+
+// Older payment messages have a bare COPY_UPI button without the order
+bot.action(/^COPY_UPI(?:_(ORD-[A-Z0-9]+))?$/, async (ctx) => {
+  const payment = ctx.match[1] && await Payment.findOne({ orderId: ctx.match[1], userId: ctx.from.id });
+
+  await ctx.answerCbQuery();
+  const details = payment
+    ? `\nAmount: \`${formatAmount(payment.amount)}\`\nNote: \`${payment.orderId}\``
+    : '';
+
+  await ctx.reply(`✅ UPI ID: \`${UPI_ID}\`${details}\n\n(tap to copy)`, {
+    parse_mode: "Markdown",
+    ...Markup.inlineKeyboard([
+      Markup.button.callback("🔙 Back", "MAIN_MENU")
+    ])
+  });
+});
+
+
+
+// Payment proof handler
+bot.on("photo", async (ctx, next) => {
+  // Only handle private messages from non-admins
+  if (ctx.chat.type !== 'private' || isAdmin(ctx.from.id)) return next();
+
+  ctx.session = ctx.session || {};
+
+  // Check if we're expecting a payment proof
+  if (ctx.session.waitingForPaymentProof) {
+    try {
+      let payment = await Payment.findOne({ orderId: ctx.session.pendingOrderId, status: 'pending' });
+      if (!payment) {
+        const product = await Product.findOne({ _id: ctx.session.waitingForPaymentProof, isActive: true });
+        if (!product) {
+          clearMenuState(ctx);
+          return ctx.reply("⚠️ This product is no longer available. Please pick another from the menu.");
+        }
+        payment = await createPendingPayment(ctx.from.id, product);
+      }
+
+      // Highest resolution; a later photo replaces it until the UTR arrives
+      const photo = ctx.message.photo[ctx.message.photo.length - 1];
+      ctx.session.pendingOrderId = payment.orderId;
+      ctx.session.pendingProof = { fileId: photo.file_id, fileUniqueId: photo.file_unique_id };
+
+      await ctx.reply(
+        "🧾 Screenshot received! Now send the 12-digit UPI transaction reference (UTR) " +
+        "shown in your payment app's transaction details."
+      );
+    } catch (error) {
+      console.error("Payment proof handling error:", error);
+      await ctx.reply("⚠️ Failed to process your payment proof. Please try again.");
+    }
+  }
+});
+
+// UTR that completes a payment proof
+bot.on("text", async (ctx, next) => {
+  if (ctx.chat.type !== 'private' || !ctx.session?.pendingProof || ctx.message.text.startsWith('/')) return next();
+
+  const utr = ctx.message.text.replace(/\s/g, '');
+  if (!isValidUtr(utr)) {
+    return ctx.reply("⚠️ That doesn't look like a UTR. It's the 12-digit number in the transaction details, e.g. 412345678901.");
+  }
+
+  try {
+    const payment = await Payment.findOne({ orderId: ctx.session.pendingOrderId, status: 'pending' });
+    if (!payment) {
+      clearMenuState(ctx);
+      return ctx.reply("⚠️ This order is no longer open. Please start the payment again.");
+    }
+
+    await processPaymentProof(ctx, payment, ctx.session.pendingProof, utr);
+    ctx.session.waitingForPaymentProof = null;
+    ctx.session.pendingOrderId = null;
+    ctx.session.pendingProof = null;
+  } catch (error) {
+    console.error("Payment proof handling error:", error);
+    await ctx.reply("⚠️ Failed to process your payment proof. Please try again.");
+  }
+});
+
+// Attach the proof to the order and forward it for review
+async function processPaymentProof(ctx, payment, proof, utr) {
+  try {
+    payment = await Payment.findByIdAndUpdate(
+      payment._id,
+      {
+        proofFileId: proof.fileId,
+        proofFileUniqueId: proof.fileUniqueId,
+        utr,
+        proofSubmittedAt: new Date()
+      },
+      { new: true }
+    );
+
+    // Send to admin group
+    const card = await ctx.telegram.sendPhoto(
+      process.env.ADMIN_GROUP_ID,
+      proof.fileId,
+      {
+        caption: buildPaymentCaption(payment, ctx.from.first_name, ctx.from.username) +
+          await proofReuseWarning(payment),
+        parse_mode: "MarkdownV2",
+        ...Markup.inlineKeyboard(paymentReviewButtons(payment))
+      }
+    );
+    await Payment.updateOne({ _id: payment._id }, { reviewMessageId: card.message_id });
+
+    // Confirm to user
+    await ctx.reply(
+      "✅ Payment proof received! Our team will verify it within 24 hours.\n\n" +
+      `Order ID: ${payment.orderId}\n` +
+      "You'll receive a confirmation message once approved.",
+      Markup.inlineKeyboard([
+        Markup.button.url("📞 Contact Support", "https://t.me/malayali_admin")
       ])
     );
 
-    debug.log('Successfully added channel:', channelId);
+  } catch (error) {
+    console.error("Payment forwarding error:", error);
+    throw error;
+  }
+}
+
+// Look up a pending order and its user, answering the callback when review isn't possible
+const loadPendingPayment = async (ctx, orderId) => {
+  const payment = await Payment.findOne({ orderId });
+
+  if (!payment) {
+    await ctx.answerCbQuery("❌ Order not found", { show_alert: true });
+    return {};
+  }
+
+  if (payment.status !== 'pending') {
+    await ctx.answerCbQuery(`ℹ️ Order already ${payment.status}`, { show_alert: true });
+    return {};
+  }
+
+  const user = await User.findOne({ userId: payment.userId });
+  if (!user) {
+    await ctx.answerCbQuery("❌ User not found", { show_alert: true });
+    return {};
+  }
+
+  return { payment, user };
+};
+
+// Atomically move a pending order to its reviewed status; null if someone got there first
+const markPaymentReviewed = (ctx, orderId, status, extra = {}) =>
+  Payment.findOneAndUpdate(
+    { orderId, status: 'pending' },
+    { $set: {
+      ...extra,
+      status,
+      reviewedBy: ctx.from.id,
+      reviewedByName: ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name,
+      reviewedAt: new Date()
+    } },
+    { new: true }
+  );
+
+// Review cards posted before the order ledger carry a user ID instead of an order.
+// Either button turns the card into a pending order, which is then reviewed as usual.
+bot.action(/^(?:VERIFY_\d+_(?:GROUP|PREMIUM)(?:_\d+)?|REJECT_\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) {
+    return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+  }
+
+  try {
+    const card = ctx.callbackQuery.message;
+    // The old reject button only has the user ID; the approve button next to it says what was bought
+    const verifyData = card.reply_markup?.inline_keyboard.flat()
+      .map(button => button.callback_data)
+      .find(data => /^VERIFY_\d+_/.test(data || ''));
+    const match = verifyData?.match(/^VERIFY_(\d+)_(GROUP|PREMIUM)(?:_(\d+))?$/);
+    if (!match) {
+      return ctx.answerCbQuery("⚠️ This old card can't be read. Ask the user to resubmit their proof.", { show_alert: true });
+    }
+
+    const userId = parseInt(match[1]);
+    const grants = match[2] === 'GROUP'
+      ? { premiumDays: 0, grantsGroup: true, bonusVideos: 0 }
+      : { premiumDays: parseInt(match[3]) || PREMIUM_PLANS[0]?.days || 30, grantsGroup: false, bonusVideos: 0 };
+    const product = await Product.findOne({ premiumDays: grants.premiumDays, grantsGroup: grants.grantsGroup, bonusVideos: 0 });
+    const photo = card.photo?.at(-1);
+
+    // Keyed on the card so a second tap reuses the same order
+    const payment = await Payment.findOneAndUpdate(
+      { userId, reviewMessageId: card.message_id },
+      { $setOnInsert: {
+        orderId: generateOrderId(),
+        productId: product?._id,
+        productName: product?.name || (grants.grantsGroup ? "Purchase Group" : `Premium ${grants.premiumDays} days`),
+        grants,
+        amount: product?.price,
+        proofFileId: photo?.file_id,
+        proofFileUniqueId: photo?.file_unique_id,
+        proofSubmittedAt: new Date(card.date * 1000)
+      } },
+      { upsert: true, new: true }
+    );
+    if (payment.status !== 'pending') {
+      return ctx.answerCbQuery(`ℹ️ Order already ${payment.status}`, { show_alert: true });
+    }
+
+    const user = await User.findOne({ userId });
+    const caption = buildPaymentCaption(payment, user?.first_name, user?.username);
+    const keyboard = Markup.inlineKeyboard(paymentReviewButtons(payment));
+    try {
+      await ctx.editMessageCaption(caption, { parse_mode: "MarkdownV2", ...keyboard });
+    } catch (editError) {
+      console.log('Edit failed, sending new message:', editError);
+      await ctx.reply(caption, { parse_mode: "MarkdownV2", ...keyboard });
+    }
+
+    await ctx.answerCbQuery(`ℹ️ Old card converted to order ${payment.orderId}. Please review it again.`, { show_alert: true });
+  } catch (error) {
+    console.error('Legacy review card error:', error);
+    await ctx.answerCbQuery("⚠️ Failed to convert this card", { show_alert: true });
+  }
+});
+
+// Approval handler
+bot.action(/^VERIFY_(ORD-[A-Z0-9]+)$/, async (ctx) => {
+  try {
+    if (!hasRole(ctx.from.id, 'payments')) {
+      return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+    }
+
+    const { payment: pending, user } = await loadPendingPayment(ctx, ctx.match[1]);
+    if (!pending) return;
+
+    const payment = await markPaymentReviewed(ctx, pending.orderId, 'approved');
+    if (!payment) {
+      return ctx.answerCbQuery("ℹ️ Order was already reviewed", { show_alert: true });
+    }
+
+    const userId = payment.userId;
+
+    await User.updateOne({ userId }, { isBanned: false });
+    const granted = await applyGrants(userId, payment.grants);
+    await recordAudit(ctx.from, 'payment.approve', 'payment', payment.orderId, {
+      userId,
+      productName: payment.productName,
+      grants: payment.grants,
+      amount: payment.amount
+    });
+
+    await updatePaymentCard(ctx, payment,
+      `✅ *Payment Approved*\n\n` +
+      `Order: \`${payment.orderId}\`\n` +
+      `User: [${escapeMarkdownV2(user.first_name || 'Unknown')}](tg://user?id=${userId})\n` +
+      `Product: ${escapeMarkdownV2(payment.productName)}\n` +
+      `Amount: ₹${escapeMarkdownV2(payment.amount)}\n` +
+      `Approved by: ${escapeMarkdownV2(payment.reviewedByName)}\n` +
+      `At: ${escapeMarkdownV2(payment.reviewedAt.toLocaleString())}`
+    );
+
+    // Notify user
+    await bot.telegram.sendMessage(
+      userId,
+      `🎉 ${payment.productName} Approved!\n\n${granted.join('\n')}`
+    );
+
+    await ctx.answerCbQuery("Approved successfully!");
+
+  } catch (error) {
+    console.error('Approval error:', error);
+    await ctx.answerCbQuery("⚠️ Failed to approve");
+  }
+});
+
+// Reasons offered by the reject picker; admins can also type their own
+const REJECTION_REASONS = {
+  amount: { label: "💸 Wrong amount", text: "The amount paid doesn't match the order amount." },
+  unreadable: { label: "🔍 Unreadable screenshot", text: "The screenshot is unclear or cropped. Please send the full payment confirmation." },
+  duplicate: { label: "♻️ Duplicate proof", text: "This payment proof was already submitted for another order." }
+};
+const MAX_REJECTION_REASON_LENGTH = 300;
+
+const rejectReasonButtons = (orderId) => [
+  ...Object.entries(REJECTION_REASONS).map(([key, reason]) => [
+    Markup.button.callback(reason.label, `REJECT_REASON_${orderId}_${key}`)
+  ]),
+  [Markup.button.callback("✍️ Custom Reason", `REJECT_CUSTOM_${orderId}`)],
+  [Markup.button.callback("⬅️ Back", `REJECT_BACK_${orderId}`)]
+];
+
+// Returns the rejected payment, or null when someone else reviewed it first
+const rejectPayment = async (ctx, orderId, reason, card = null) => {
+  const payment = await markPaymentReviewed(ctx, orderId, 'rejected', { rejectionReason: reason });
+  if (!payment) return null;
+
+  const userId = payment.userId;
+  const user = await User.findOne({ userId });
+  await recordAudit(ctx.from, 'payment.reject', 'payment', payment.orderId, { userId, amount: payment.amount, reason });
+
+  await updatePaymentCard(ctx, payment,
+    `❌ *Payment Rejected*\n\n` +
+    `Order: \`${payment.orderId}\`\n` +
+    `User: [${escapeMarkdownV2(user?.first_name || 'Unknown')}](tg://user?id=${userId})\n` +
+    `Reason: ${escapeMarkdownV2(reason)}\n` +
+    `Rejected by: ${escapeMarkdownV2(payment.reviewedByName)}\n` +
+    `At: ${escapeMarkdownV2(payment.reviewedAt.toLocaleString())}`,
+    card
+  );
+
+  // Notify user
+  try {
+    await bot.telegram.sendMessage(
+      userId,
+      `⚠️ *Payment Rejected*\n\n` +
+      `Your payment proof for order \`${payment.orderId}\` was not approved\\.\n\n` +
+      `*Reason:* ${escapeMarkdownV2(reason)}`,
+      {
+        parse_mode: "MarkdownV2",
+        ...Markup.inlineKeyboard([
+          [Markup.button.callback("🔄 Resubmit Proof", `RESUBMIT_${payment.orderId}`)],
+          [Markup.button.url("📞 Contact Support", "https://t.me/malayali_admin")]
+        ])
+      }
+    );
+  } catch (error) {
+    console.error(`Error notifying user ${userId} about rejection:`, error);
+  }
+
+  return payment;
+};
+
+// Reject opens the reason picker on the card
+bot.action(/^REJECT_(ORD-[A-Z0-9]+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) {
+    return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+  }
+
+  const { payment } = await loadPendingPayment(ctx, ctx.match[1]);
+  if (!payment) return;
+
+  await ctx.answerCbQuery("Pick a rejection reason");
+  await ctx.editMessageReplyMarkup(Markup.inlineKeyboard(rejectReasonButtons(payment.orderId)).reply_markup);
+});
+
+bot.action(/^REJECT_BACK_(ORD-[A-Z0-9]+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return ctx.answerCbQuery("❌ Admin only");
+
+  const { payment } = await loadPendingPayment(ctx, ctx.match[1]);
+  if (!payment) return;
+
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(Markup.inlineKeyboard(paymentReviewButtons(payment)).reply_markup);
+});
+
+bot.action(/^REJECT_REASON_(ORD-[A-Z0-9]+)_([a-z]+)$/, async (ctx) => {
+  try {
+    if (!hasRole(ctx.from.id, 'payments')) {
+      return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+    }
+
+    const reason = REJECTION_REASONS[ctx.match[2]];
+    if (!reason) return ctx.answerCbQuery("⚠️ Unknown reason");
+
+    const payment = await rejectPayment(ctx, ctx.match[1], reason.text);
+    if (!payment) {
+      return ctx.answerCbQuery("ℹ️ Order was already reviewed", { show_alert: true });
+    }
+
+    await ctx.answerCbQuery("Rejected successfully!");
+  } catch (error) {
+    console.error('Rejection error:', error);
+    await ctx.answerCbQuery("⚠️ Failed to reject");
+  }
+});
+
+// Custom reasons are typed as a reply so they reach the bot in privacy-mode groups
+bot.action(/^REJECT_CUSTOM_(ORD-[A-Z0-9]+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) {
+    return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+  }
+
+  const { payment } = await loadPendingPayment(ctx, ctx.match[1]);
+  if (!payment) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForRejectReason = {
+    orderId: payment.orderId,
+    chatId: ctx.chat.id,
+    messageId: ctx.callbackQuery.message.message_id
+  };
+
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `✍️ Reply with the rejection reason for ${payment.orderId}:`,
+    Markup.forceReply().selective()
+  );
+});
+
+// Pending review queue
+bot.action("ADMIN_PENDING_PAYMENTS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return;
+  await ctx.answerCbQuery();
+  await showPendingPayment(ctx);
+});
+
+bot.action(/^PENDING_PAGE_(\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return ctx.answerCbQuery("❌ Admin only");
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(() => {});
+  await showPendingPayment(ctx, parseInt(ctx.match[1]));
+});
+
+// Ban handler
+bot.action(/^BAN_(\d+)$/, async (ctx) => {
+  try {
+    if (!hasRole(ctx.from.id, 'payments')) {
+      return ctx.answerCbQuery("❌ Admin only", { show_alert: true });
+    }
+
+    const userId = parseInt(ctx.match[1]);
+    const user = await User.findOne({ userId });
+
+    if (!user) {
+      return ctx.answerCbQuery("❌ User not found", { show_alert: true });
+    }
+
+    await User.updateOne({ userId }, { 
+      isBanned: true,
+      isPremium: false,
+      hasPurchaseGroupAccess: false
+    });
+    await removeFromPurchaseGroup(userId);
+    await recordAudit(ctx.from, 'user.ban', 'user', userId);
+
+    // Edit the original admin message
+    await ctx.editMessageText(
+      `🚫 *User Banned*\n\n` +
+      `User: [${escapeMarkdownV2(user.first_name || 'Unknown')}](tg://user?id=${userId})\n` +
+      `Banned by: ${escapeMarkdownV2(ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name)}\n` +
+      `At: ${escapeMarkdownV2(new Date().toLocaleString())}`,
+      { 
+        parse_mode: "MarkdownV2",
+        reply_markup: { inline_keyboard: [] } // Remove buttons after action
+      }
+    );
+
+    // Notify user
+    await bot.telegram.sendMessage(
+      userId,
+      "🚫 *Account Banned*\n\nAll premium access has been revoked.",
+      { parse_mode: "Markdown" }
+    );
+
+    await ctx.answerCbQuery("User banned successfully!");
+
+  } catch (error) {
+    console.error('Ban error:', error);
+    await ctx.answerCbQuery("⚠️ Failed to ban user");
+  }
+});
+
+// Admin user card
+bot.action(/^VIEW_USER_(\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return ctx.answerCbQuery("❌ Admin only");
+
+  const user = await User.findOne({ userId: parseInt(ctx.match[1]) });
+
+  if (!user) {
+    return ctx.answerCbQuery("❌ User not found");
+  }
+
+  await ctx.answerCbQuery(`👤 Viewing user ${user.userId}`);
+  await showUserCard(ctx, user);
+});
+
+bot.action(/^USER_CARD_(\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return ctx.answerCbQuery("❌ Admin only");
+
+  const user = await User.findOne({ userId: parseInt(ctx.match[1]) });
+  if (!user) return ctx.answerCbQuery("❌ User not found");
+
+  await ctx.answerCbQuery();
+  await showUserCard(ctx, user, { edit: true });
+});
+
+// Duration picker for granting premium from the user card
+bot.action(/^USER_PREMIUM_(\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'payments')) return ctx.answerCbQuery("❌ Admin only");
+
+  const userId = ctx.match[1];
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(Markup.inlineKeyboard([
+    PREMIUM_PLANS.map(plan =>
+      Markup.button.callback(`${plan.days} days`, `USER_PREMIUM_GRANT_${userId}_${plan.days}`)
+    ),
+    [Markup.button.callback("⬅️ Back", `USER_CARD_${userId}`)]
+  ]).reply_markup);
+});
+
+const USER_CARD_ACTIONS = [
+  { pattern: /^USER_PREMIUM_GRANT_(\d+)_(\d+)$/, run: (admin, userId, match) => userActions.grantPremium(admin, userId, parseInt(match[2])) },
+  { pattern: /^USER_PREMIUM_REVOKE_(\d+)$/, run: userActions.revokePremium },
+  { pattern: /^USER_GROUP_GRANT_(\d+)$/, run: userActions.grantGroup },
+  { pattern: /^USER_GROUP_REVOKE_(\d+)$/, run: userActions.revokeGroup },
+  { pattern: /^USER_UNBAN_(\d+)$/, run: userActions.unban },
+  { pattern: /^USER_RESET_QUOTA_(\d+)$/, run: userActions.resetQuota },
+  { pattern: /^USER_CLEAR_HISTORY_(\d+)$/, run: userActions.clearHistory }
+];
+
+for (const { pattern, run } of USER_CARD_ACTIONS) {
+  bot.action(pattern, async (ctx) => {
+    if (!hasRole(ctx.from.id, 'payments')) return ctx.answerCbQuery("❌ Admin only");
+
+    const userId = parseInt(ctx.match[1]);
+    try {
+      if (!await User.exists({ userId })) return ctx.answerCbQuery("❌ User not found");
+
+      const result = await run(ctx.from, userId, ctx.match);
+      await ctx.answerCbQuery(result);
+    } catch (error) {
+      console.error(`User action error for ${userId}:`, error);
+      return ctx.answerCbQuery("⚠️ Action failed", { show_alert: true });
+    }
+
+    // Actions that change nothing (e.g. resetting an unused quota) leave the card as it was
+    try {
+      await showUserCard(ctx, await User.findOne({ userId }), { edit: true });
+    } catch (error) {
+      if (!error.description?.includes('message is not modified')) {
+        console.error(`Error refreshing user card ${userId}:`, error);
+      }
+    }
+  });
+}
+
+// User reachability from blocking/unblocking the bot in private chat
+bot.on("my_chat_member", async (ctx, next) => {
+  const { chat, new_chat_member: member } = ctx.myChatMember;
+  if (chat.type !== 'private') return next();
+
+  try {
+    await setUserStatus(chat.id, member.status === 'kicked' ? 'blocked' : 'active');
+  } catch (error) {
+    console.error("User status update error:", error);
+  }
+});
+
+// Add ban check to all user interactions
+bot.use(async (ctx, next) => {
+  if (ctx.from && ctx.chat?.type === 'private') {
+    const user = await User.findOne({ userId: ctx.from.id });
+    if (user?.isBanned) {
+      // Only answer what the user sent; other updates (like blocking the bot) get no reply
+      if (ctx.message || ctx.callbackQuery) {
+        return ctx.reply("🚫 Your account has been banned. Contact support: @stephinjk");
+      }
+      return;
+    }
+  }
+  return next();
+});
+
+// Admin broadcast handlers
+bot.action("ADMIN_BROADCAST_TEXT", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForBroadcast = "text";
+  ctx.session.currentMenu = 'broadcast';
+
+  await ctx.reply("📢 Enter the broadcast message (or /cancel to abort):\n\nYou can mention:\n- @allusers (for all users)\n- @allgroups (for all groups)\n- @allchannels (for all channels)", 
+    Markup.inlineKeyboard([
+      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+    ])
+  );
+});
+
+bot.on("text", async (ctx, next) => {
+  if (!isAdmin(ctx.from.id)) return next();
+
+  ctx.session = ctx.session || {};
+
+  if (ctx.session.waitingForBroadcast === "text") {
+    const buttons = [
+      [Markup.button.callback("👤 Users", "CONFIRM_BROADCAST_TEXT_USERS")],
+      [Markup.button.callback("👥 Groups", "CONFIRM_BROADCAST_TEXT_GROUPS")],
+      [Markup.button.callback("📺 Channels", "CONFIRM_BROADCAST_TEXT_CHANNELS")],
+      [Markup.button.callback("🌐 All", "CONFIRM_BROADCAST_TEXT_ALL")],
+      [Markup.button.callback("🕒 Schedule", "SCHEDULE_BROADCAST")],
+      [Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")]
+    ];
+
+    await ctx.reply(
+      `📢 Broadcast Preview:\n\n${ctx.message.text}`,
+      Markup.inlineKeyboard(buttons)
+    );
+
+    ctx.session.broadcastData = { text: ctx.message.text };
+    ctx.session.waitingForBroadcast = null;
+    return;
+  }
+
+  if (ctx.session.waitingForScheduleTime) {
+    const runAt = parseDateTime(ctx.message.text);
+
+    if (!runAt) {
+      await ctx.reply("⚠️ Please use the format YYYY-MM-DD HH:MM, e.g. 2025-01-31 18:30");
+      return;
+    }
+    if (runAt <= new Date()) {
+      await ctx.reply("⚠️ That time is in the past. Please send a future date and time.");
+      return;
+    }
+
+    ctx.session.waitingForScheduleTime = false;
+    ctx.session.scheduleDraft.runAt = runAt.toISOString();
+
+    await ctx.reply(
+      `🕒 Send on ${formatDateTime(runAt)}\n\nRepeat this broadcast?`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback("1️⃣ Once", "SCHEDULE_REPEAT_NONE")],
+        [Markup.button.callback("📅 Daily", "SCHEDULE_REPEAT_DAILY")],
+        [Markup.button.callback("🗓 Weekly", "SCHEDULE_REPEAT_WEEKLY")],
+        [Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")]
+      ])
+    );
+    return;
+  }
+
+  if (ctx.session.waitingForVideoCategory) {
+    const category = ctx.message.text.trim();
+
+    if (category.length > MAX_CATEGORY_LENGTH) {
+      await ctx.reply(`⚠️ Category names can be at most ${MAX_CATEGORY_LENGTH} characters.`);
+      return;
+    }
+
+    await Video.updateOne({ _id: ctx.session.waitingForVideoCategory }, { category });
+    await recordAudit(ctx.from, 'media.edit', 'media', ctx.session.waitingForVideoCategory, { category });
+    ctx.session.waitingForVideoCategory = null;
+    await ctx.reply(`📂 Category set to "${category}"`);
+    return;
+  }
+
+  if (ctx.session.waitingForVideoEdit) {
+    const { caption, tags } = parseMediaCaption(ctx.message.text === '-' ? '' : ctx.message.text);
+
+    await Video.updateOne({ _id: ctx.session.waitingForVideoEdit }, { caption, tags });
+    await recordAudit(ctx.from, 'media.edit', 'media', ctx.session.waitingForVideoEdit, { caption, tags });
+    ctx.session.waitingForVideoEdit = null;
+    await ctx.reply(
+      `✏️ Media updated\n\n` +
+      `Caption: ${caption || 'None'}\n` +
+      `Tags: ${tags.length ? tags.map(tag => '#' + tag).join(' ') : 'None'}`
+    );
+    return;
+  }
+
+  if (ctx.session.waitingForCampaignEdit) {
+    const campaignId = ctx.session.waitingForCampaignEdit;
+    ctx.session.waitingForCampaignEdit = null;
+    await editCampaign(ctx, campaignId, ctx.message.text);
+    return;
+  }
+
+  if (ctx.session.waitingForRejectReason && hasRole(ctx.from.id, 'payments')) {
+    const reason = ctx.message.text.trim();
+
+    if (reason.length > MAX_REJECTION_REASON_LENGTH) {
+      await ctx.reply(`⚠️ Please keep the reason under ${MAX_REJECTION_REASON_LENGTH} characters.`);
+      return;
+    }
+
+    const { orderId, chatId, messageId } = ctx.session.waitingForRejectReason;
+    ctx.session.waitingForRejectReason = null;
+
+    const payment = await rejectPayment(ctx, orderId, reason, { chatId, messageId });
+    await ctx.reply(payment ? `❌ ${orderId} rejected` : `ℹ️ ${orderId} was already reviewed`);
+    return;
+  }
+
+  if (ctx.session.waitingForProduct && hasRole(ctx.from.id, 'owner')) {
+    const definition = parseProductDefinition(ctx.message.text);
+    if (!definition) {
+      await ctx.reply(`⚠️ Couldn't read that.\n\n${PRODUCT_FORMAT_HELP}`);
+      return;
+    }
+
+    const productId = ctx.session.waitingForProduct;
+    ctx.session.waitingForProduct = null;
+
+    const product = productId === 'new'
+      ? await Product.create(definition)
+      : await Product.findByIdAndUpdate(productId, definition, { new: true });
+    if (!product) {
+      await ctx.reply("⚠️ Product not found");
+      return;
+    }
+
+    await recordAudit(ctx.from, productId === 'new' ? 'product.create' : 'product.edit', 'product', product._id, definition);
+    await showProductAdmin(ctx, product);
+    return;
+  }
+
+  if (ctx.session.waitingForAdminAdd && hasRole(ctx.from.id, 'owner')) {
+    const input = ctx.message.text.trim();
+    const user = /^\d+$/.test(input)
+      ? await User.findOne({ userId: parseInt(input) })
+      : await User.findOne({ username: new RegExp(`^${escapeRegex(input.replace(/^@/, ''))}$`, 'i') });
+
+    if (!user) {
+      await ctx.reply("❌ User not found. They need to /start the bot first.");
+      return;
+    }
+
+    ctx.session.waitingForAdminAdd = false;
+    await showAdminRoleEditor(ctx, user.userId);
+    return;
+  }
+
+  return next();
+});
+
+bot.action("ADMIN_BROADCAST_MEDIA", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForBroadcast = "media";
+  ctx.session.currentMenu = 'broadcast';
+
+  await ctx.reply("📷 Send media to broadcast (photo/video/document):", 
+    Markup.inlineKeyboard([
+      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+    ])
+  );
+});
+
+// Bulk media upload: stays open until the admin taps Done
+const uploadPromptButtons = async () => {
+  const categories = await getVideoCategories();
+  const buttons = [];
+
+  // Show 2 categories per row
+  for (let i = 0; i < categories.length; i += 2) {
+    buttons.push(categories.slice(i, i + 2).map(category =>
+      Markup.button.callback(`📂 ${category}`, `UPLOAD_CATEGORY_${categoryKey(category)}`)
+    ));
+  }
+  buttons.push([Markup.button.callback("✅ Done", "UPLOAD_DONE")]);
+
+  return buttons;
+};
+
+// Largest photo size, or the video/document itself
+const getUploadFile = (message) =>
+  message.photo?.[message.photo.length - 1] || message.video || message.document;
+
+// Store one uploaded item; returns 'added', 'duplicate' or 'rejected'
+const ingestMedia = async (message, category) => {
+  const file = getUploadFile(message);
+  const fileType = message.photo ? 'photo' : message.video ? 'video' : 'document';
+
+  if (fileType === 'document' && !/^(video|image)\//.test(message.document.mime_type || '')) {
+    return 'rejected';
+  }
+
+  const exists = await Video.exists({
+    $or: [{ fileUniqueId: file.file_unique_id }, { fileId: file.file_id }]
+  });
+  if (exists) return 'duplicate';
+
+  try {
+    await Video.create({
+      fileId: file.file_id,
+      fileUniqueId: file.file_unique_id,
+      fileType,
+      category,
+      ...parseMediaCaption(message.caption)
+    });
+    return 'added';
+  } catch (error) {
+    // Another item of the same album may have won the race
+    if (error.code === 11000) return 'duplicate';
+    throw error;
+  }
+};
+
+const UPLOAD_REACTIONS = { added: '👍', duplicate: '🤷', rejected: '👎' };
+
+bot.action("ADMIN_UPLOAD_MEDIA", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForUpload = true;
+  ctx.session.uploadStats = { added: 0, duplicate: 0, rejected: 0 };
+  ctx.session.currentMenu = 'upload';
+
+  await ctx.reply(
+    "🎥 Bulk upload started\n\n" +
+    "Send or forward any number of photos, videos or albums. Captions are kept and #hashtags become tags.\n" +
+    "Optionally pick a category for the items that follow, then tap Done to finish.",
+    Markup.inlineKeyboard(await uploadPromptButtons())
+  );
+});
+
+bot.action(/^UPLOAD_CATEGORY_(.+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader') || !ctx.session.waitingForUpload) return ctx.answerCbQuery();
+
+  const category = await findCategory(ctx.match[1]);
+  if (!category) return ctx.answerCbQuery("⚠️ Category not found");
+
+  ctx.session.uploadCategory = category;
+  await ctx.answerCbQuery(`📂 New uploads go to ${category}`);
+});
+
+bot.action("UPLOAD_DONE", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  const stats = ctx.session.uploadStats || { added: 0, duplicate: 0, rejected: 0 };
+  clearMenuState(ctx);
+  if (stats.added + stats.duplicate + stats.rejected > 0) {
+    await recordAudit(ctx.from, 'media.upload', 'media', null, { ...stats });
+  }
+
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `✅ Upload finished\n\n` +
+    `Added: ${stats.added}\n` +
+    `Duplicates skipped: ${stats.duplicate}\n` +
+    `Rejected: ${stats.rejected}`
+  );
+  await showAdminMenu(ctx);
+});
+// Media catalog assignment
+bot.action(/^VIDEO_CAT_([a-f0-9]{24})_(.+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  const videoId = ctx.match[1];
+  const category = await findCategory(ctx.match[2]);
+  if (!category) return ctx.answerCbQuery("⚠️ Category not found");
+
+  const video = await Video.findByIdAndUpdate(videoId, { category });
+  if (video) await recordAudit(ctx.from, 'media.edit', 'media', videoId, { category });
+
+  await ctx.answerCbQuery(video ? `📂 Category set to ${category}` : "⚠️ Media not found");
+});
+
+bot.action(/^VIDEO_NEWCAT_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForVideoCategory = ctx.match[1];
+
+  await ctx.answerCbQuery();
+  await ctx.reply(`📂 Send the new category name (max ${MAX_CATEGORY_LENGTH} characters):`,
+    Markup.inlineKeyboard([
+      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+    ])
+  );
+});
+
+bot.action(/^VIDEO_EDIT_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForVideoEdit = ctx.match[1];
+
+  await ctx.answerCbQuery();
+  await ctx.reply("✏️ Send the caption with #hashtags for tags (or - to clear both):",
+    Markup.inlineKeyboard([
+      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+    ])
+  );
+});
+
+// Media library manager
+const LIBRARY_PAGE_SIZE = 10;
+const MEDIA_TYPE_ICONS = { photo: '🖼', video: '🎬', document: '📄' };
+
+const libraryQuery = (filter) => {
+  if (filter?.type) return { fileType: filter.type };
+  if (filter?.category) return { category: filter.category };
+  return {};
+};
+
+const libraryFilterLabel = (filter) =>
+  filter?.type ? `type: ${filter.type}` : filter?.category ? `category: ${filter.category}` : 'all media';
+
+const showLibraryPage = async (ctx) => {
+  const filter = ctx.session.libraryFilter;
+  const query = libraryQuery(filter);
+  const total = await Video.countDocuments(query);
+  const pages = Math.max(Math.ceil(total / LIBRARY_PAGE_SIZE), 1);
+  const page = Math.min(Math.max(ctx.session.libraryPage || 0, 0), pages - 1);
+  ctx.session.libraryPage = page;
+
+  const videos = await Video.find(query)
+    .sort({ addedAt: -1 })
+    .skip(page * LIBRARY_PAGE_SIZE)
+    .limit(LIBRARY_PAGE_SIZE);
+
+  const buttons = videos.map(video => [
+    Markup.button.callback(
+      `${video.isDisabled ? '🚫' : MEDIA_TYPE_ICONS[video.fileType] || '📁'} ` +
+      `${(video.caption || video.addedAt.toLocaleDateString()).substring(0, 30)}` +
+      `${video.category ? ` (${video.category})` : ''}`,
+      `LIB_ITEM_${video._id}`
+    )
+  ]);
+
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback("◀️ Prev", `LIB_PAGE_${page - 1}`));
+  if (page < pages - 1) navigation.push(Markup.button.callback("Next ▶️", `LIB_PAGE_${page + 1}`));
+  if (navigation.length) buttons.push(navigation);
+  buttons.push([Markup.button.callback("🔎 Filter", "ADMIN_MEDIA_LIBRARY"), Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
+
+  await ctx.reply(
+    `🗃 Media Library (${libraryFilterLabel(filter)})\n\n` +
+    `${total} items, page ${page + 1}/${pages}, newest first`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+const showLibraryItem = async (ctx, video) => {
+  const details =
+    `${MEDIA_TYPE_ICONS[video.fileType] || '📁'} ${video.fileType} ${video._id}\n\n` +
+    `Status: ${video.isDisabled ? '🚫 Disabled' : '✅ Active'}\n` +
+    `Category: ${video.category || 'None'}\n` +
+    `Tags: ${video.tags?.length ? video.tags.map(tag => '#' + tag).join(' ') : 'None'}\n` +
+    `Added: ${video.addedAt.toLocaleString()}\n` +
+    `Caption: `;
+
+  // The original caption goes last and gets whatever room the details leave
+  await sendMediaItem(ctx, video, {
+    caption: truncateText(details + (video.caption || 'None'), MAX_CAPTION_LENGTH),
+    ...Markup.inlineKeyboard([
+      [
+        Markup.button.callback(video.isDisabled ? "✅ Enable" : "🚫 Disable", `LIB_TOGGLE_${video._id}`),
+        Markup.button.callback("🏷 Re-tag", `LIB_RETAG_${video._id}`)
+      ],
+      [
+        Markup.button.callback("🗑 Delete", `LIB_DELETE_${video._id}`),
+        Markup.button.callback("🔙 Back to List", "LIB_BACK")
+      ]
+    ])
+  });
+};
+
+bot.action("ADMIN_MEDIA_LIBRARY", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'media_library';
+
+  const categories = (await Video.distinct('category', { category: { $ne: null } })).sort();
+  const buttons = [
+    [Markup.button.callback("🗂 All Media", "LIB_FILTER_ALL")],
+    Object.entries(MEDIA_TYPE_ICONS).map(([type, icon]) =>
+      Markup.button.callback(`${icon} ${type}`, `LIB_FILTER_TYPE_${type}`)
+    ),
+    ...categories.map(category => [Markup.button.callback(`📂 ${category}`, `LIB_FILTER_CAT_${categoryKey(category)}`)]),
+    [Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]
+  ];
+
+  await ctx.reply("🗃 Media Library\n\nChoose what to browse:", Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^LIB_FILTER_(ALL|TYPE_(photo|video|document)|CAT_(.+))$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  const category = ctx.match[3] && await findCategory(ctx.match[3]);
+  if (ctx.match[3] && !category) return ctx.answerCbQuery("⚠️ Category not found");
+
+  ctx.session.libraryFilter = ctx.match[2]
+    ? { type: ctx.match[2] }
+    : category ? { category } : null;
+  ctx.session.libraryPage = 0;
+
+  await ctx.answerCbQuery();
+  await showLibraryPage(ctx);
+});
+
+bot.action(/^LIB_PAGE_(\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  ctx.session.libraryPage = parseInt(ctx.match[1]);
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(() => {});
+  await showLibraryPage(ctx);
+});
+
+bot.action("LIB_BACK", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(() => {});
+  await showLibraryPage(ctx);
+});
+
+bot.action(/^LIB_ITEM_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  const video = await Video.findById(ctx.match[1]);
+  if (!video) return ctx.answerCbQuery("⚠️ Media not found");
+
+  await ctx.answerCbQuery();
+  await showLibraryItem(ctx, video);
+});
+
+bot.action(/^LIB_TOGGLE_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  const video = await Video.findById(ctx.match[1]);
+  if (!video) return ctx.answerCbQuery("⚠️ Media not found");
+
+  video.isDisabled = !video.isDisabled;
+  await video.save();
+  await recordAudit(ctx.from, video.isDisabled ? 'media.disable' : 'media.enable', 'media', video._id);
+
+  await ctx.answerCbQuery(video.isDisabled ? "🚫 Disabled" : "✅ Enabled");
+  await ctx.deleteMessage().catch(() => {});
+  await showLibraryItem(ctx, video);
+});
+
+bot.action(/^LIB_RETAG_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  await ctx.answerCbQuery();
+  await ctx.reply("🏷 Pick a category or edit the caption and tags:",
+    Markup.inlineKeyboard(await videoCategoryButtons(ctx.match[1]))
+  );
+});
+
+bot.action(/^LIB_DELETE_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  await ctx.editMessageReplyMarkup({
+    inline_keyboard: [
+      [Markup.button.callback("⚠️ Yes, delete permanently", `LIB_DELETE_CONFIRM_${ctx.match[1]}`)],
+      [Markup.button.callback("🔙 Back to List", "LIB_BACK")]
+    ]
+  });
+});
+
+bot.action(/^LIB_DELETE_CONFIRM_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'uploader')) return;
+
+  try {
+    const video = await Video.findByIdAndDelete(ctx.match[1]);
+    if (!video) return ctx.answerCbQuery("⚠️ Media not found");
+
+    // Drop it from view histories so it doesn't count toward "seen"
+    await ViewHistory.deleteMany({ videoId: video._id });
+    await recordAudit(ctx.from, 'media.delete', 'media', video._id, { fileType: video.fileType, caption: video.caption });
+
+    await ctx.answerCbQuery("🗑 Media deleted");
+    await ctx.deleteMessage().catch(() => {});
+    await showLibraryPage(ctx);
+  } catch (error) {
+    console.error("Media delete error:", error);
+    await ctx.answerCbQuery("⚠️ Failed to delete media");
+  }
+});
+
+// Fixed media handler for both upload and broadcast
+bot.on(["photo", "video", "document"], async (ctx, next) => {
+  if (!isAdmin(ctx.from.id)) return next();
+
+  ctx.session = ctx.session || {};
+
+  if (ctx.session.waitingForProductImage && ctx.message.photo) {
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    const product = await Product.findByIdAndUpdate(
+      ctx.session.waitingForProductImage,
+      { image: photo.file_id },
+      { new: true }
+    );
+    ctx.session.waitingForProductImage = null;
+
+    if (!product) return ctx.reply("⚠️ Product not found");
+    await recordAudit(ctx.from, 'product.image', 'product', product._id);
+    await showProductAdmin(ctx, product);
+    return;
+  }
+
+  if (ctx.session.waitingForUpload) {
+    try {
+      const result = await ingestMedia(ctx.message, ctx.session.uploadCategory);
+      ctx.session.uploadStats = ctx.session.uploadStats || { added: 0, duplicate: 0, rejected: 0 };
+      ctx.session.uploadStats[result]++;
+      await ctx.react(UPLOAD_REACTIONS[result]).catch(() => {});
+    } catch (error) {
+      console.error("Error uploading media:", error);
+      await ctx.reply("⚠️ Error uploading media to database.");
+    }
+    return;
+  }
+
+  if (ctx.session.waitingForBroadcast === "media") {
+    const fileId = ctx.message.photo?.[0]?.file_id || 
+                  ctx.message.video?.file_id || 
+                  ctx.message.document?.file_id;
+
+    const buttons = [
+      [Markup.button.callback("👤 Users", "CONFIRM_BROADCAST_MEDIA_USERS")],
+      [Markup.button.callback("👥 Groups", "CONFIRM_BROADCAST_MEDIA_GROUPS")],
+      [Markup.button.callback("📺 Channels", "CONFIRM_BROADCAST_MEDIA_CHANNELS")],
+      [Markup.button.callback("🌐 All", "CONFIRM_BROADCAST_MEDIA_ALL")],
+      [Markup.button.callback("🕒 Schedule", "SCHEDULE_BROADCAST")],
+      [Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")]
+    ];
+
+    await ctx.reply(
+      `📢 Media Broadcast Preview\n\nCaption: ${ctx.message.caption || "None"}`,
+      Markup.inlineKeyboard(buttons)
+    );
+
+    ctx.session.broadcastData = {
+      fileId,
+      type: ctx.message.photo ? "photo" : 
+           ctx.message.video ? "video" : "document",
+      caption: ctx.message.caption || ""
+    };
+    ctx.session.waitingForBroadcast = null;
+    return;
+  }
+
+  return next();
+});
+
+// Group registration from the bot's own membership changes
+bot.on("my_chat_member", async (ctx, next) => {
+  const { chat, from, new_chat_member: member } = ctx.myChatMember;
+
+  if (!['group', 'supergroup'].includes(chat.type)) return next();
+  // Never broadcast into the admin review group
+  if (chat.id.toString() === process.env.ADMIN_GROUP_ID) return;
+
+  const chatId = chat.id.toString();
+  const isMember = ['member', 'administrator'].includes(member.status) ||
+    (member.status === 'restricted' && member.is_member);
+
+  try {
+    if (isMember) {
+      await Group.updateOne(
+        { chatId },
+        {
+          $set: { title: chat.title, type: chat.type, username: chat.username },
+          $setOnInsert: { addedBy: from.id }
+        },
+        { upsert: true }
+      );
+      console.log(`Registered group ${chatId} (${chat.title})`);
+    } else {
+      await Group.deleteOne({ chatId });
+      console.log(`Unregistered group ${chatId} (${chat.title})`);
+    }
+  } catch (error) {
+    console.error("Group registration error:", error);
+  }
+});
+
+// Groups upgraded to supergroups get a new chat ID
+bot.on("migrate_to_chat_id", async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const newChatId = ctx.message.migrate_to_chat_id.toString();
+
+  try {
+    await Group.updateOne({ chatId }, { chatId: newChatId, type: 'supergroup' });
+  } catch (error) {
+    // The supergroup may already be registered under its new ID
+    await Group.deleteOne({ chatId });
+  }
+});
+
+// Purchase group joins: record which invite was used and remove anyone who hasn't paid
+bot.on("chat_member", async (ctx, next) => {
+  const { chat, old_chat_member: before, new_chat_member: after, invite_link: invite } = ctx.chatMember;
+  if (chat.id.toString() !== PURCHASE_GROUP_ID) return next();
+
+  const isIn = (member) => ['member', 'administrator', 'creator'].includes(member.status) ||
+    (member.status === 'restricted' && member.is_member);
+  if (isIn(before) || !isIn(after) || after.user.is_bot) return;
+
+  const userId = after.user.id;
+  try {
+    const record = invite && await GroupInvite.findOneAndUpdate(
+      { inviteLink: invite.invite_link },
+      { status: 'used', joinedUserId: userId, joinedAt: new Date() }
+    );
+
+    if (isAdmin(userId)) return;
+    const user = await User.findOne({ userId });
+    if (user?.hasPurchaseGroupAccess && !user.isBanned) return;
+
+    console.log(`Removing unpaid member ${userId} from the purchase group` +
+      (record ? ` (joined via link issued to ${record.userId})` : ''));
+    await bot.telegram.banChatMember(PURCHASE_GROUP_ID, userId);
+    await bot.telegram.unbanChatMember(PURCHASE_GROUP_ID, userId, { only_if_banned: true });
+  } catch (error) {
+    console.error(`Purchase group join check failed for ${userId}:`, error);
+  }
+});
+
+// Channel management
+bot.action("ADMIN_MANAGE_CHANNELS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'manage_channels';
+
+  const channels = await Channel.find();
+  const buttons = [
+    [Markup.button.callback("➕ Add Channel", "ADD_CHANNEL")],
+    [Markup.button.callback("➖ Remove Channel", "REMOVE_CHANNEL")],
+    [Markup.button.callback("📋 List Channels", "LIST_CHANNELS")],
+    [Markup.button.callback("🔒 Mandatory Channels", "MANDATORY_CHANNELS")],
+    [Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]
+  ];
+
+  await ctx.reply(
+    "📺 Channel Management",
+    Markup.inlineKeyboard(buttons)
+  );
+});
+
+
+// Add Channel Command
+bot.action("ADD_CHANNEL", async (ctx) => {
+  try {
+    if (!hasRole(ctx.from.id, 'owner')) {
+      debug.log('Non-admin access attempt to ADD_CHANNEL by:', ctx.from.id);
+      return ctx.answerCbQuery("❌ Admin only");
+    }
+
+    // Clear previous state and set new
+    ctx.session = ctx.session || {};
+    ctx.session.waitingForChannelAdd = true;
+    ctx.session.currentMenu = 'add_channel';
+
+    debug.log('Admin started channel addition:', ctx.from.id, 'Session:', ctx.session);
+
+    await ctx.reply(
+      `📢 <b>How to add a channel:</b>\n\n` +
+      `1. Add @${ctx.botInfo.username} as admin to your channel\n` +
+      `2. Make sure bot has <b>post messages</b> permission\n` +
+      `3. <b>Forward</b> any message from that channel here\n\n` +
+      `<b>OR</b> send the channel ID (like @channelname or -1001234567890)\n\n` +
+      `<i>Current status: Waiting for channel info...</i>`,
+      {
+        parse_mode: 'HTML',
+        ...Markup.inlineKeyboard([
+          Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+        ]),
+        disable_web_page_preview: true
+      }
+    );
+
+    await ctx.answerCbQuery();
+  } catch (error) {
+    debug.error('ADD_CHANNEL command failed:', error);
+    await ctx.reply('⚠️ Error starting channel addition');
+  }
+});
+
+// Channel Message Handler
+bot.on('message', async (ctx) => {
+  try {
+    debug.log('Received message:', {
+      text: ctx.message.text,
+      forwardFrom: ctx.message.forward_from_chat,
+      from: ctx.from.id,
+      session: ctx.session
+    });
+
+    // Skip if not in channel add mode or not from admin
+    if (!ctx.session?.waitingForChannelAdd || !hasRole(ctx.from.id, 'owner')) {
+      debug.log('Skipping message - not in channel add mode');
+      return;
+    }
+
+    let channelId, title, username;
+
+    // Handle forwarded messages
+    if (ctx.message.forward_from_chat?.type === 'channel') {
+      debug.log('Processing forwarded channel message');
+      channelId = ctx.message.forward_from_chat.id.toString();
+      title = ctx.message.forward_from_chat.title || "Unnamed Channel";
+      username = ctx.message.forward_from_chat.username;
+    } 
+    // Handle direct text input
+    else if (ctx.message.text) {
+      const input = ctx.message.text.trim();
+      debug.log('Processing channel ID input:', input);
+
+      if (!/^(@\w+|-\d+)$/.test(input)) {
+        await ctx.reply('⚠️ Please use @channelname or -1001234567890 format');
+        return;
+      }
+
+      try {
+        const chat = await ctx.telegram.getChat(input);
+        if (chat.type !== 'channel') {
+          await ctx.reply('⚠️ This is not a channel');
+          return;
+        }
+        channelId = chat.id.toString();
+        title = chat.title || "Unnamed Channel";
+        username = chat.username;
+      } catch (error) {
+        debug.error('Channel lookup failed:', error);
+        await ctx.reply('⚠️ Could not find channel. Make sure:\n1. Channel exists\n2. Bot is admin\n3. ID is correct');
+        return;
+      }
+    } else {
+      debug.log('Ignoring message - not a channel message');
+      return;
+    }
+
+    // Verify bot is admin in channel
+    try {
+      debug.log('Checking bot admin status in channel:', channelId);
+      const botMember = await ctx.telegram.getChatMember(channelId, ctx.botInfo.id);
+
+      if (!['administrator', 'creator'].includes(botMember.status)) {
+        await ctx.reply('❌ Bot must be admin with post permissions');
+        return;
+      }
+    } catch (error) {
+      debug.error('Admin check failed:', error);
+      await ctx.reply('⚠️ Could not verify admin status. Please add bot as admin first');
+      return;
+    }
+
+    // Check if channel exists
+    const existing = await Channel.findOne({ channelId });
+    if (existing) {
+      await ctx.reply(`ℹ️ Channel "${title}" already exists`);
+      return;
+    }
+
+    // Create invite link
+    let inviteLink;
+    try {
+      inviteLink = await ctx.telegram.exportChatInviteLink(channelId);
+    } catch (error) {
+      debug.log('Could not get invite link, using fallback:', error);
+      inviteLink = username ? `https://t.me/${username}` : `(No invite link available)`;
+    }
+
+    // Save to database
+    try {
+      debug.log('Saving channel to database:', { channelId, title });
+      await Channel.create({
+        channelId,
+        title,
+        username,
+        inviteLink,
+        addedBy: ctx.from.id
+      });
+      await recordAudit(ctx.from, 'channel.add', 'channel', channelId, { title });
+    } catch (error) {
+      debug.error('Database save failed:', error);
+      await ctx.reply('⚠️ Error saving channel to database');
+      return;
+    }
+
+    // Update in-memory list
+    if (!CHANNEL_IDS.includes(channelId)) {
+      CHANNEL_IDS.push(channelId);
+    }
+
+    // Success message
+    await ctx.replyWithMarkdown(
+      `✅ *Channel Added!*\n\n` +
+      `*Name:* ${title}\n` +
+      `*ID:* \`${channelId}\`\n` +
+      `*Link:* ${inviteLink}`,
+      Markup.inlineKeyboard([
+        Markup.button.callback("🏠 Menu", "MAIN_MENU"),
+        Markup.button.callback("🛠 Admin", "ADMIN_MENU")
+      ])
+    );
+
+    debug.log('Successfully added channel:', channelId);
+
+  } catch (error) {
+    debug.error('Channel add process failed:', error);
+    await ctx.reply('⚠️ An unexpected error occurred. Please try again');
+  } finally {
+    ctx.session.waitingForChannelAdd = false;
+    debug.log('Channel add process completed. Session:', ctx.session);
+  }
+});
+
+
+
+
+// List Channels
+bot.action("LIST_CHANNELS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  const channels = await Channel.find().sort({ title: 1 });
+  if (channels.length === 0) {
+    await ctx.reply("ℹ️ No channels registered yet");
+    return;
+  }
+
+  let message = "📺 *Registered Channels*\n\n";
+  for (const channel of channels) {
+    try {
+      const isAdmin = await isBotAdminInChannel(channel.channelId);
+      message += `- ${channel.title} \`${channel.channelId}\` ${isAdmin ? '✅' : '❌'}${channel.isMandatory ? ' 🔒' : ''}\n`;
+    } catch {
+      message += `- ${channel.title} \`${channel.channelId}\` ❌\n`;
+    }
+  }
+
+  await ctx.replyWithMarkdown(message);
+});
+
+// Mandatory channel toggles for the force-subscribe gate
+const mandatoryChannelButtons = (channels) => [
+  ...channels.map(channel => [
+    Markup.button.callback(
+      `${channel.isMandatory ? '🔒' : '🔓'} ${channel.title.substring(0, 30)}`,
+      `TOGGLE_MANDATORY_${channel._id}`
+    )
+  ]),
+  [Markup.button.callback("🔙 Back", "ADMIN_MANAGE_CHANNELS")]
+];
+
+bot.action("MANDATORY_CHANNELS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  const channels = await Channel.find().sort({ title: 1 });
+  if (channels.length === 0) {
+    await ctx.reply("ℹ️ No channels registered yet");
+    return;
+  }
+
+  await ctx.reply(
+    "🔒 Tap a channel to toggle whether users must join it before getting videos:",
+    Markup.inlineKeyboard(mandatoryChannelButtons(channels))
+  );
+});
+
+bot.action(/^TOGGLE_MANDATORY_(.+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  try {
+    const channel = await Channel.findById(ctx.match[1]);
+    if (!channel) {
+      return ctx.answerCbQuery("⚠️ Channel not found");
+    }
+
+    channel.isMandatory = !channel.isMandatory;
+    await channel.save();
+    await recordAudit(ctx.from, 'channel.mandatory', 'channel', channel.channelId, { isMandatory: channel.isMandatory });
+
+    const channels = await Channel.find().sort({ title: 1 });
+    await ctx.editMessageReplyMarkup(Markup.inlineKeyboard(mandatoryChannelButtons(channels)).reply_markup);
+    await ctx.answerCbQuery(`${channel.title} is now ${channel.isMandatory ? 'mandatory' : 'optional'}`);
+  } catch (error) {
+    console.error("Mandatory channel toggle error:", error);
+    await ctx.answerCbQuery("⚠️ Failed to update channel");
+  }
+});
+
+// Remove Channel
+bot.action("REMOVE_CHANNEL", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  const channels = await Channel.find().sort({ title: 1 });
+  if (channels.length === 0) {
+    await ctx.reply("ℹ️ No channels to remove");
+    return;
+  }
+
+  const buttons = [];
+  // Show 3 channels per row
+  for (let i = 0; i < channels.length; i += 3) {
+    const row = [];
+    for (let j = 0; j < 3 && i + j < channels.length; j++) {
+      row.push(
+        Markup.button.callback(
+          `❌ ${channels[i + j].title.substring(0, 15)}`,
+          `REMOVE_CHANNEL_${channels[i + j]._id}`
+        )
+      );
+    }
+    buttons.push(row);
+  }
+  buttons.push([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
+
+  await ctx.reply(
+    "Select a channel to remove:",
+    Markup.inlineKeyboard(buttons)
+  );
+});
+
+// Handle Channel Removal
+bot.action(/^REMOVE_CHANNEL_(.+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return;
+
+  const channelId = ctx.match[1];
+  try {
+    const channel = await Channel.findByIdAndDelete(channelId);
+    if (!channel) {
+      await ctx.reply("⚠️ Channel not found");
+      return;
+    }
+
+    await recordAudit(ctx.from, 'channel.remove', 'channel', channel.channelId, { title: channel.title });
+
+    // Update in-memory list
+    const index = CHANNEL_IDS.indexOf(channel.channelId);
+    if (index > -1) {
+      CHANNEL_IDS.splice(index, 1);
+    }
+
+    await ctx.replyWithMarkdown(
+      `🗑 *Channel Removed*\n\n` +
+      `*Name:* ${channel.title}\n` +
+      `*ID:* \`${channel.channelId}\``
+    );
+  } catch (error) {
+    console.error("Channel removal error:", error);
+    await ctx.reply("⚠️ Error removing channel");
+  } finally {
+    await showAdminMenu(ctx);
+  }
+});
+
+
+// Check if bot is admin in channel
+const isBotAdminInChannel = async (channelId) => {
+  try {
+    const chatMember = await bot.telegram.getChatMember(channelId, bot.botInfo.id);
+    return ['administrator', 'creator'].includes(chatMember.status);
+  } catch (error) {
+    console.error("Admin check error:", error);
+    return false;
+  }
+};
+
+// Refresh channel list from database
+const refreshChannelList = async () => {
+  try {
+    const channels = await Channel.find({});
+    CHANNEL_IDS = channels.map(c => c.channelId);
+    console.log(`Refreshed channel list, ${CHANNEL_IDS.length} channels`);
+  } catch (error) {
+    console.error("Error refreshing channel list:", error);
+  }
+};
+
+// Call this on bot startup
+refreshChannelList();
+
+
+
+// Send broadcast content to a single chat
+const sendBroadcastContent = (chatId, content) => {
+  if (content.text) {
+    return bot.telegram.sendMessage(chatId, content.text);
+  }
+  if (content.type === "photo") {
+    return bot.telegram.sendPhoto(chatId, content.fileId, { caption: content.caption });
+  }
+  if (content.type === "video") {
+    return bot.telegram.sendVideo(chatId, content.fileId, { caption: content.caption });
+  }
+  return bot.telegram.sendDocument(chatId, content.fileId, { caption: content.caption });
+};
+
+// Recipient sources in delivery order
+const BROADCAST_STAGES = [
+  { target: 'users', model: User, chatIdField: 'userId', targetType: 'user', filter: { status: { $nin: ['blocked', 'deactivated'] } } },
+  { target: 'groups', model: Group, chatIdField: 'chatId', targetType: 'group', filter: {} },
+  { target: 'channels', model: Channel, chatIdField: 'channelId', targetType: 'channel', filter: {} }
+];
+
+const getBroadcastStages = (target) =>
+  BROADCAST_STAGES.filter(stage => target === 'all' || target === stage.target);
+
+// Retry flood-limited (429), server-side and network failures, honouring retry_after
+const withTelegramRetry = async (request) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const retryAfter = error.response?.parameters?.retry_after;
+      const retryable = retryAfter || !error.response || error.response.error_code >= 500;
+      if (!retryable || attempt >= BROADCAST_MAX_RETRIES) throw error;
+      await sleep((retryAfter || attempt * 2) * 1000);
+    }
+  }
+};
+
+const BROADCAST_STATUS_LABELS = {
+  queued: '🕒 Queued',
+  running: '🔄 Sending',
+  paused: '⏸ Paused',
+  cancelled: '✖️ Cancelled',
+  completed: '✅ Completed'
+};
+
+const updateBroadcastProgress = async (job) => {
+  if (!job.progressChatId) return;
+
+  const remaining = Math.max(job.total - job.sent - job.failed, 0);
+  const buttons = [];
+
+  if (['queued', 'running'].includes(job.status)) {
+    buttons.push(Markup.button.callback("⏸ Pause", `BROADCAST_JOB_PAUSE_${job._id}`));
+  } else if (job.status === 'paused') {
+    buttons.push(Markup.button.callback("▶️ Resume", `BROADCAST_JOB_RESUME_${job._id}`));
+  }
+  if (!['cancelled', 'completed'].includes(job.status)) {
+    buttons.push(Markup.button.callback("✖️ Cancel", `BROADCAST_JOB_CANCEL_${job._id}`));
+  }
+
+  try {
+    await bot.telegram.editMessageText(
+      job.progressChatId,
+      job.progressMessageId,
+      undefined,
+      `📢 Broadcast ${BROADCAST_STATUS_LABELS[job.status]}\n\n` +
+      `Target: ${job.target}\n` +
+      `Sent: ${job.sent}\n` +
+      `Failed: ${job.failed}\n` +
+      `Remaining: ${remaining}`,
+      Markup.inlineKeyboard(buttons.length ? [buttons] : [])
+    );
+  } catch (error) {
+    if (!error.description?.includes('message is not modified')) {
+      console.error(`Error updating broadcast progress ${job._id}:`, error);
+    }
+  }
+};
+
+// Deliver a job from its saved cursor until it finishes or is paused/cancelled
+const processBroadcastJob = async (job) => {
+  job = await BroadcastJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'running', startedAt: job.startedAt || new Date() } },
+    { new: true }
+  );
+  if (!job) return;
+  await updateBroadcastProgress(job);
+
+  const stages = getBroadcastStages(job.target);
+  let lastProgressAt = Date.now();
+
+  while (job.stage < stages.length) {
+    const stage = stages[job.stage];
+    const recipients = await stage.model
+      .find({ ...stage.filter, ...(job.cursor && { _id: { $gt: job.cursor } }) })
+      .sort({ _id: 1 })
+      .limit(BROADCAST_BATCH_SIZE)
+      .select(stage.chatIdField);
+
+    if (recipients.length === 0) {
+      job = await BroadcastJob.findOneAndUpdate(
+        { _id: job._id },
+        { $inc: { stage: 1 }, $set: { cursor: null } },
+        { new: true }
+      );
+      continue;
+    }
+
+    for (const recipient of recipients) {
+      const chatId = recipient[stage.chatIdField];
+      let delivered = false;
+
+      try {
+        const message = await withTelegramRetry(() => sendBroadcastContent(chatId, job.content));
+        await Broadcast.create({
+          campaignId: job._id,
+          messageId: message.message_id,
+          chatId: message.chat.id,
+          content: job.content,
+          targetType: stage.targetType
+        });
+        if (BROADCAST_DELETE_HOURS > 0) {
+          await scheduleDeletion(null, [message.message_id], message.chat.id, {
+            delayMs: BROADCAST_DELETE_HOURS * 3600000,
+            kind: 'broadcast'
+          });
+        }
+        delivered = true;
+      } catch (error) {
+        const status = stage.targetType === 'user' && unreachableStatus(error);
+        if (status) {
+          await setUserStatus(chatId, status);
+        } else {
+          console.error(`Failed to send to ${stage.targetType} ${chatId}:`, error);
+        }
+      }
+
+      // Saving the cursor per recipient keeps a restart from re-sending anyone
+      job = await BroadcastJob.findOneAndUpdate(
+        { _id: job._id },
+        { $set: { cursor: recipient._id }, $inc: { [delivered ? 'sent' : 'failed']: 1 } },
+        { new: true }
+      );
+
+      if (job.status !== 'running') {
+        await updateBroadcastProgress(job);
+        return;
+      }
+
+      if (Date.now() - lastProgressAt >= BROADCAST_PROGRESS_SECONDS * 1000) {
+        await updateBroadcastProgress(job);
+        lastProgressAt = Date.now();
+      }
+
+      await sleep(1000 / BROADCAST_RATE_PER_SECOND);
+    }
+  }
+
+  job = await BroadcastJob.findOneAndUpdate(
+    { _id: job._id, status: 'running' },
+    { $set: { status: 'completed', finishedAt: new Date() } },
+    { new: true }
+  );
+  if (job) await updateBroadcastProgress(job);
+};
+
+// Processes queued and interrupted jobs one at a time
+let broadcastWorkerRunning = false;
+
+const runBroadcastWorker = async () => {
+  if (broadcastWorkerRunning) return;
+  broadcastWorkerRunning = true;
+
+  try {
+    let job;
+    while ((job = await BroadcastJob.findOne({ status: { $in: ['running', 'queued'] } }).sort({ createdAt: 1 }))) {
+      await processBroadcastJob(job);
+    }
+  } catch (error) {
+    console.error("Broadcast worker error:", error);
+  } finally {
+    broadcastWorkerRunning = false;
+  }
+};
+
+// Create a broadcast job reporting progress in the given message and start the worker
+const queueBroadcast = async ({ target, content, createdBy, scheduledId, progressChatId, progressMessageId }) => {
+  let total = 0;
+  for (const stage of getBroadcastStages(target)) {
+    total += await stage.model.countDocuments(stage.filter);
+  }
+
+  const job = await BroadcastJob.create({
+    target,
+    content,
+    total,
+    createdBy,
+    scheduledId,
+    progressChatId,
+    progressMessageId
+  });
+
+  await updateBroadcastProgress(job);
+  runBroadcastWorker();
+  return job;
+};
+
+// Queue a broadcast and turn the preview message into its progress display
+const executeBroadcast = async (ctx, target, content) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  if (!content) {
+    return ctx.answerCbQuery("⚠️ Nothing to broadcast. Start again from the admin panel.", { show_alert: true });
+  }
+
+  try {
+    // Prevent a second tap on the preview from queuing a duplicate
+    ctx.session.broadcastData = null;
+    await ctx.answerCbQuery("📢 Broadcast queued");
+
+    const job = await queueBroadcast({
+      target,
+      content,
+      createdBy: ctx.from.id,
+      progressChatId: ctx.chat.id,
+      progressMessageId: ctx.callbackQuery.message.message_id
+    });
+    await recordAudit(ctx.from, 'broadcast.send', 'broadcast', job._id, { target, total: job.total });
+  } catch (error) {
+    console.error("Broadcast error:", error);
+    await ctx.reply("⚠️ Error during broadcast");
+  }
+};
+
+bot.action(/^BROADCAST_JOB_(PAUSE|RESUME|CANCEL)_(.+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return ctx.answerCbQuery("❌ Admin only");
+
+  const [, command, jobId] = ctx.match;
+  const transitions = {
+    PAUSE: { from: ['queued', 'running'], to: 'paused' },
+    RESUME: { from: ['paused'], to: 'queued' },
+    CANCEL: { from: ['queued', 'running', 'paused'], to: 'cancelled' }
+  };
+  const { from, to } = transitions[command];
+
+  try {
+    const job = await BroadcastJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: from } },
+      { $set: { status: to, ...(to === 'cancelled' && { finishedAt: new Date() }) } },
+      { new: true }
+    );
+
+    if (!job) {
+      return ctx.answerCbQuery("⚠️ Broadcast can't be changed in its current state");
+    }
+
+    await recordAudit(ctx.from, `broadcast.${command.toLowerCase()}`, 'broadcast', job._id);
+    await ctx.answerCbQuery(`Broadcast ${to}`);
+    await updateBroadcastProgress(job);
+    if (to === 'queued') runBroadcastWorker();
+  } catch (error) {
+    console.error("Broadcast job control error:", error);
+    await ctx.answerCbQuery("⚠️ Failed to update broadcast");
+  }
+});
+
+// Text broadcast handlers
+bot.action("CONFIRM_BROADCAST_TEXT_USERS", async (ctx) => {
+  await executeBroadcast(ctx, 'users', ctx.session.broadcastData);
+});
+
+bot.action("CONFIRM_BROADCAST_TEXT_GROUPS", async (ctx) => {
+  await executeBroadcast(ctx, 'groups', ctx.session.broadcastData);
+});
+
+bot.action("CONFIRM_BROADCAST_TEXT_CHANNELS", async (ctx) => {
+  await executeBroadcast(ctx, 'channels', ctx.session.broadcastData);
+});
+
+bot.action("CONFIRM_BROADCAST_TEXT_ALL", async (ctx) => {
+  await executeBroadcast(ctx, 'all', ctx.session.broadcastData);
+});
+
+// Media broadcast handlers
+bot.action("CONFIRM_BROADCAST_MEDIA_USERS", async (ctx) => {
+  await executeBroadcast(ctx, 'users', ctx.session.broadcastData);
+});
+
+bot.action("CONFIRM_BROADCAST_MEDIA_GROUPS", async (ctx) => {
+  await executeBroadcast(ctx, 'groups', ctx.session.broadcastData);
+});
+
+bot.action("CONFIRM_BROADCAST_MEDIA_CHANNELS", async (ctx) => {
+  await executeBroadcast(ctx, 'channels', ctx.session.broadcastData);
+});
+
+bot.action("CONFIRM_BROADCAST_MEDIA_ALL", async (ctx) => {
+  await executeBroadcast(ctx, 'all', ctx.session.broadcastData);
+});
+
+// Broadcast campaigns: every copy delivered by one broadcast job
+const campaignPreview = (content) =>
+  (content?.text || content?.caption || `[${content?.type || 'media'}]`).substring(0, 200);
+
+// Apply `operation` to every delivered copy of a campaign and report the totals
+const runCampaignOperation = async (chatId, campaignId, label, operation) => {
+  const statusMessage = await bot.telegram.sendMessage(chatId, `🔄 ${label}...`);
+  let succeeded = 0;
+  let failed = 0;
+
+  for await (const record of Broadcast.find({ campaignId }).cursor()) {
+    try {
+      await withTelegramRetry(() => operation(record));
+      succeeded++;
+    } catch (error) {
+      console.error(`${label} failed for message ${record.messageId} in ${record.chatId}:`, error);
+      failed++;
+    }
+    await sleep(1000 / BROADCAST_RATE_PER_SECOND);
+  }
+
+  await bot.telegram.editMessageText(
+    chatId,
+    statusMessage.message_id,
+    undefined,
+    `✅ ${label} finished\n\n` +
+    `Succeeded: ${succeeded}\n` +
+    `Failed: ${failed}`
+  );
+};
+
+const deleteCampaign = async (chatId, campaignId) => {
+  // Stop any copies still being delivered before removing the sent ones
+  await BroadcastJob.updateOne(
+    { _id: campaignId, status: { $in: ['queued', 'running', 'paused'] } },
+    { status: 'cancelled', finishedAt: new Date() }
+  );
+
+  await runCampaignOperation(chatId, campaignId, "Deleting campaign", async (record) => {
+    try {
+      await bot.telegram.deleteMessage(record.chatId, record.messageId);
+    } catch (error) {
+      if (!error.description?.includes('message to delete not found')) throw error;
+    }
+    await Broadcast.deleteOne({ _id: record._id });
+  });
+};
+
+const editCampaign = async (ctx, campaignId, newText) => {
+  const job = await BroadcastJob.findById(campaignId);
+  if (!job) {
+    await ctx.reply("⚠️ Campaign not found.");
+    return;
+  }
+
+  const field = job.content.text ? 'text' : 'caption';
+  await recordAudit(ctx.from, 'broadcast.edit', 'broadcast', job._id, { [field]: newText });
+
+  // Run in the background so long campaigns don't block other updates
+  runCampaignOperation(ctx.chat.id, campaignId, "Editing campaign", async (record) => {
+    try {
+      if (field === 'text') {
+        await bot.telegram.editMessageText(record.chatId, record.messageId, undefined, newText);
+      } else {
+        await bot.telegram.editMessageCaption(record.chatId, record.messageId, undefined, newText);
+      }
+    } catch (error) {
+      if (!error.description?.includes('message is not modified')) throw error;
+    }
+  })
+    .then(() => Promise.all([
+      BroadcastJob.updateOne({ _id: campaignId }, { [`content.${field}`]: newText }),
+      Broadcast.updateMany({ campaignId }, { [`content.${field}`]: newText })
+    ]))
+    .catch(error => console.error("Campaign edit error:", error));
+};
+
+bot.action("ADMIN_CAMPAIGNS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'campaigns';
+
+  const jobs = await BroadcastJob.find().sort({ createdAt: -1 }).limit(10);
+
+  if (jobs.length === 0) {
+    await ctx.reply("No recent broadcasts found.");
+    return;
+  }
+
+  const counts = await Broadcast.aggregate([
+    { $match: { campaignId: { $in: jobs.map(job => job._id) } } },
+    { $group: { _id: "$campaignId", count: { $sum: 1 } } }
+  ]);
+  const countById = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+
+  const buttons = jobs.map(job => [
+    Markup.button.callback(
+      `📢 ${job.createdAt.toLocaleString()} (${job.target}, ${countById[job._id.toString()] || 0} copies)`,
+      `CAMPAIGN_${job._id}`
+    )
+  ]);
+
+  buttons.push([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
+
+  await ctx.reply(
+    "Select a broadcast campaign:",
+    Markup.inlineKeyboard(buttons)
+  );
+});
+
+bot.action(/^CAMPAIGN_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  const job = await BroadcastJob.findById(ctx.match[1]);
+  if (!job) {
+    await ctx.reply("Campaign not found.");
+    return;
+  }
+
+  const copies = await Broadcast.countDocuments({ campaignId: job._id });
+
+  await ctx.reply(
+    `📢 Campaign from ${job.createdAt.toLocaleString()}\n\n` +
+    `Target: ${job.target}\n` +
+    `Status: ${BROADCAST_STATUS_LABELS[job.status]}\n` +
+    `Delivered copies: ${copies}\n\n` +
+    `${campaignPreview(job.content)}`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback(`🗑 Delete All ${copies} Copies`, `CAMPAIGN_DELETE_${job._id}`)],
+      [Markup.button.callback(job.content.text ? "✏️ Edit Text" : "✏️ Edit Caption", `CAMPAIGN_EDIT_${job._id}`)],
+      [Markup.button.callback("🔙 Back", "ADMIN_CAMPAIGNS")]
+    ])
+  );
+});
+
+bot.action(/^CAMPAIGN_DELETE_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  await ctx.editMessageReplyMarkup({
+    inline_keyboard: [
+      [Markup.button.callback("⚠️ Yes, delete every copy", `CAMPAIGN_DELETE_CONFIRM_${ctx.match[1]}`)],
+      [Markup.button.callback("🔙 Back", `CAMPAIGN_${ctx.match[1]}`)]
+    ]
+  });
+});
+
+bot.action(/^CAMPAIGN_DELETE_CONFIRM_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
 
-  } catch (error) {
-    debug.error('Channel add process failed:', error);
-    await ctx.reply('⚠️ An unexpected error occurred. Please try again');
-  } finally {
-    ctx.session.waitingForChannelAdd = false;
-    debug.log('Channel add process completed. Session:', ctx.session);
-  }
+  await ctx.answerCbQuery("🗑 Deleting campaign...");
+  await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  await recordAudit(ctx.from, 'broadcast.delete', 'broadcast', ctx.match[1]);
+
+  // Run in the background so long campaigns don't block other updates
+  deleteCampaign(ctx.chat.id, ctx.match[1])
+    .catch(error => console.error("Campaign delete error:", error));
+});
+
+bot.action(/^CAMPAIGN_EDIT_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  clearMenuState(ctx);
+  ctx.session.waitingForCampaignEdit = ctx.match[1];
+  ctx.session.currentMenu = 'edit_campaign';
+
+  await ctx.reply("✏️ Send the new text/caption for every copy of this campaign:",
+    Markup.inlineKeyboard([
+      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+    ])
+  );
 });
 
+// Scheduled broadcasts
+const RECURRENCE_DAYS = { daily: 1, weekly: 7 };
+const RECURRENCE_LABELS = { none: 'Once', daily: 'Daily', weekly: 'Weekly' };
 
+// Queue every scheduled broadcast that is due, then move recurring ones to their next run
+const runDueScheduledBroadcasts = async () => {
+  const now = new Date();
 
+  try {
+    const due = await ScheduledBroadcast.find({ status: 'scheduled', runAt: { $lte: now } });
+
+    for (const scheduled of due) {
+      let nextRunAt = null;
+      if (scheduled.recurrence !== 'none') {
+        // Skip runs missed while the bot was offline
+        nextRunAt = new Date(scheduled.runAt);
+        while (nextRunAt <= now) {
+          nextRunAt = addLocalDays(nextRunAt, RECURRENCE_DAYS[scheduled.recurrence]);
+        }
+      }
 
-// List Channels
-bot.action("LIST_CHANNELS", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+      // Claim this run so it can't be queued twice; one-off schedules are only
+      // marked done once their broadcast job exists
+      const claimed = await ScheduledBroadcast.findOneAndUpdate(
+        { _id: scheduled._id, status: 'scheduled', runAt: scheduled.runAt },
+        { $set: nextRunAt
+          ? { runAt: nextRunAt, lastRunAt: now }
+          : { status: 'starting', lastRunAt: now } }
+      );
+      if (!claimed) continue;
 
-  const channels = await Channel.find().sort({ title: 1 });
-  if (channels.length === 0) {
-    await ctx.reply("ℹ️ No channels registered yet");
-    return;
+      try {
+        // Progress updates are a courtesy; the broadcast goes out without them
+        const progressMessage = await bot.telegram.sendMessage(
+          scheduled.createdBy,
+          `🕒 Scheduled broadcast starting (${RECURRENCE_LABELS[scheduled.recurrence]})`
+        ).catch(error => {
+          console.error(`Error announcing scheduled broadcast ${scheduled._id}:`, error);
+          return null;
+        });
+        await queueBroadcast({
+          target: scheduled.target,
+          content: scheduled.content,
+          createdBy: scheduled.createdBy,
+          scheduledId: scheduled._id,
+          progressChatId: progressMessage?.chat.id,
+          progressMessageId: progressMessage?.message_id
+        });
+      } catch (error) {
+        console.error(`Error starting scheduled broadcast ${scheduled._id}:`, error);
+        // Put the run back so the next check retries it
+        await ScheduledBroadcast.updateOne(
+          { _id: scheduled._id },
+          { status: 'scheduled', runAt: scheduled.runAt }
+        ).catch(restoreError => console.error(`Error restoring scheduled broadcast ${scheduled._id}:`, restoreError));
+        continue;
+      }
+
+      if (!nextRunAt) {
+        await ScheduledBroadcast.updateOne({ _id: scheduled._id }, { status: 'done' });
+      }
+    }
+  } catch (error) {
+    console.error("Scheduled broadcast check error:", error);
   }
+};
 
-  let message = "📺 *Registered Channels*\n\n";
-  for (const channel of channels) {
-    try {
-      const isAdmin = await isBotAdminInChannel(channel.channelId);
-      message += `- ${channel.title} \`${channel.channelId}\` ${isAdmin ? '✅' : '❌'}\n`;
-    } catch {
-      message += `- ${channel.title} \`${channel.channelId}\` ❌\n`;
+// One-off schedules left 'starting' by a restart: finish them if their job was
+// created, otherwise put them back so the next check sends them
+const recoverStartingSchedules = async () => {
+  try {
+    // Rows claimed by this process are still being handled by runDueScheduledBroadcasts
+    const processStartedAt = new Date(Date.now() - process.uptime() * 1000);
+    const starting = await ScheduledBroadcast.find({ status: 'starting', lastRunAt: { $lt: processStartedAt } });
+    for (const scheduled of starting) {
+      const queued = await BroadcastJob.exists({ scheduledId: scheduled._id });
+      await ScheduledBroadcast.updateOne(
+        { _id: scheduled._id, status: 'starting' },
+        { status: queued ? 'done' : 'scheduled' }
+      );
     }
+  } catch (error) {
+    console.error("Scheduled broadcast recovery error:", error);
   }
+};
 
-  await ctx.replyWithMarkdown(message);
-});
+schedule.scheduleJob('*/1 * * * *', runDueScheduledBroadcasts);
 
-// Remove Channel
-bot.action("REMOVE_CHANNEL", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+bot.action("SCHEDULE_BROADCAST", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
 
-  const channels = await Channel.find().sort({ title: 1 });
-  if (channels.length === 0) {
-    await ctx.reply("ℹ️ No channels to remove");
-    return;
+  if (!ctx.session.broadcastData) {
+    return ctx.answerCbQuery("⚠️ Nothing to schedule. Start again from the admin panel.", { show_alert: true });
   }
 
-  const buttons = [];
-  // Show 3 channels per row
-  for (let i = 0; i < channels.length; i += 3) {
-    const row = [];
-    for (let j = 0; j < 3 && i + j < channels.length; j++) {
-      row.push(
-        Markup.button.callback(
-          `❌ ${channels[i + j].title.substring(0, 15)}`,
-          `REMOVE_CHANNEL_${channels[i + j]._id}`
-        )
-      );
-    }
-    buttons.push(row);
+  await ctx.answerCbQuery();
+  await ctx.reply("🕒 Who should receive the scheduled broadcast?",
+    Markup.inlineKeyboard([
+      [Markup.button.callback("👤 Users", "SCHEDULE_TARGET_USERS")],
+      [Markup.button.callback("👥 Groups", "SCHEDULE_TARGET_GROUPS")],
+      [Markup.button.callback("📺 Channels", "SCHEDULE_TARGET_CHANNELS")],
+      [Markup.button.callback("🌐 All", "SCHEDULE_TARGET_ALL")],
+      [Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")]
+    ])
+  );
+});
+
+bot.action(/^SCHEDULE_TARGET_(USERS|GROUPS|CHANNELS|ALL)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  if (!ctx.session.broadcastData) {
+    return ctx.answerCbQuery("⚠️ Nothing to schedule. Start again from the admin panel.", { show_alert: true });
   }
-  buttons.push([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
 
+  ctx.session.scheduleDraft = {
+    target: ctx.match[1].toLowerCase(),
+    content: ctx.session.broadcastData
+  };
+  ctx.session.waitingForScheduleTime = true;
+
+  await ctx.answerCbQuery();
   await ctx.reply(
-    "Select a channel to remove:",
-    Markup.inlineKeyboard(buttons)
+    `🕒 Send the date and time as YYYY-MM-DD HH:MM (${TIMEZONE}):`,
+    Markup.inlineKeyboard([
+      Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")
+    ])
   );
 });
 
-// Handle Channel Removal
-bot.action(/^REMOVE_CHANNEL_(.+)$/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+bot.action(/^SCHEDULE_REPEAT_(NONE|DAILY|WEEKLY)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
+
+  const draft = ctx.session.scheduleDraft;
+  if (!draft?.runAt) {
+    return ctx.answerCbQuery("⚠️ Nothing to schedule. Start again from the admin panel.", { show_alert: true });
+  }
 
-  const channelId = ctx.match[1];
   try {
-    const channel = await Channel.findByIdAndDelete(channelId);
-    if (!channel) {
-      await ctx.reply("⚠️ Channel not found");
-      return;
-    }
+    const scheduled = await ScheduledBroadcast.create({
+      target: draft.target,
+      content: draft.content,
+      runAt: new Date(draft.runAt),
+      recurrence: ctx.match[1].toLowerCase(),
+      createdBy: ctx.from.id
+    });
 
-    // Update in-memory list
-    const index = CHANNEL_IDS.indexOf(channel.channelId);
-    if (index > -1) {
-      CHANNEL_IDS.splice(index, 1);
-    }
+    ctx.session.scheduleDraft = null;
+    ctx.session.broadcastData = null;
+    await recordAudit(ctx.from, 'broadcast.schedule', 'broadcast', scheduled._id, {
+      target: scheduled.target,
+      runAt: scheduled.runAt,
+      recurrence: scheduled.recurrence
+    });
 
-    await ctx.replyWithMarkdown(
-      `🗑 *Channel Removed*\n\n` +
-      `*Name:* ${channel.title}\n` +
-      `*ID:* \`${channel.channelId}\``
+    await ctx.answerCbQuery("🕒 Broadcast scheduled");
+    await ctx.editMessageText(
+      `✅ Broadcast scheduled\n\n` +
+      `Target: ${scheduled.target}\n` +
+      `Next run: ${formatDateTime(scheduled.runAt)}\n` +
+      `Repeat: ${RECURRENCE_LABELS[scheduled.recurrence]}`
     );
   } catch (error) {
-    console.error("Channel removal error:", error);
-    await ctx.reply("⚠️ Error removing channel");
-  } finally {
-    await showAdminMenu(ctx);
+    console.error("Error scheduling broadcast:", error);
+    await ctx.reply("⚠️ Error scheduling broadcast");
   }
 });
 
+bot.action("ADMIN_SCHEDULED_BROADCASTS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
 
-// Check if bot is admin in channel
-const isBotAdminInChannel = async (channelId) => {
-  try {
-    const chatMember = await bot.telegram.getChatMember(channelId, bot.botInfo.id);
-    return ['administrator', 'creator'].includes(chatMember.status);
-  } catch (error) {
-    console.error("Admin check error:", error);
-    return false;
-  }
-};
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'scheduled_broadcasts';
 
-// Refresh channel list from database
-const refreshChannelList = async () => {
-  try {
-    const channels = await Channel.find({});
-    CHANNEL_IDS = channels.map(c => c.channelId);
-    console.log(`Refreshed channel list, ${CHANNEL_IDS.length} channels`);
-  } catch (error) {
-    console.error("Error refreshing channel list:", error);
+  const upcoming = await ScheduledBroadcast.find({ status: 'scheduled' }).sort({ runAt: 1 }).limit(20);
+
+  if (upcoming.length === 0) {
+    await ctx.reply("No upcoming scheduled broadcasts.",
+      Markup.inlineKeyboard([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")])
+    );
+    return;
   }
-};
 
-// Call this on bot startup
-refreshChannelList();
+  let message = "🕒 Upcoming Scheduled Broadcasts\n\n";
+  upcoming.forEach((scheduled, index) => {
+    message += `${index + 1}. ${formatDateTime(scheduled.runAt)} (${RECURRENCE_LABELS[scheduled.recurrence]}, ${scheduled.target})\n` +
+      `   ${campaignPreview(scheduled.content).substring(0, 60)}\n`;
+  });
 
+  const buttons = upcoming.map((scheduled, index) => [
+    Markup.button.callback(`❌ Cancel #${index + 1}`, `SCHEDULED_CANCEL_${scheduled._id}`)
+  ]);
+  buttons.push([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
 
+  await ctx.reply(message, Markup.inlineKeyboard(buttons));
+});
 
-// Broadcast execution
-const executeBroadcast = async (ctx, target, content) => {
-  let success = 0;
-  let failed = 0;
-  const broadcastMessages = [];
+bot.action(/^SCHEDULED_CANCEL_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'broadcaster')) return;
 
-  try {
-    await ctx.editMessageText("🔄 Sending broadcast...");
+  const scheduled = await ScheduledBroadcast.findOneAndUpdate(
+    { _id: ctx.match[1], status: 'scheduled' },
+    { status: 'cancelled' }
+  );
 
-    // Broadcast to users
-    if (target === 'users' || target === 'all') {
-      const users = await User.find({});
-      for (const user of users) {
-        try {
-          let message;
-          if (content.text) {
-            message = await ctx.telegram.sendMessage(user.userId, content.text);
-          } else {
-            if (content.type === "photo") {
-              message = await ctx.telegram.sendPhoto(user.userId, content.fileId, { caption: content.caption });
-            } else if (content.type === "video") {
-              message = await ctx.telegram.sendVideo(user.userId, content.fileId, { caption: content.caption });
-            } else if (content.type === "document") {
-              message = await ctx.telegram.sendDocument(user.userId, content.fileId, { caption: content.caption });
-            }
-          }
-          broadcastMessages.push({
-            messageId: message.message_id,
-            chatId: message.chat.id,
-            content: content,
-            targetType: 'user'
-          });
-          success++;
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          console.error(`Failed to send to user ${user.userId}:`, error);
-          failed++;
-        }
-      }
-    }
+  if (!scheduled) {
+    return ctx.answerCbQuery("⚠️ Already sent or cancelled");
+  }
 
-    // Broadcast to channels
-    if (target === 'channels' || target === 'all') {
-      const channels = await Channel.find();
-      for (const channel of channels) {
-        try {
-          let message;
-          if (content.text) {
-            message = await ctx.telegram.sendMessage(channel.channelId, content.text);
-          } else {
-            if (content.type === "photo") {
-              message = await ctx.telegram.sendPhoto(channel.channelId, content.fileId, { caption: content.caption });
-            } else if (content.type === "video") {
-              message = await ctx.telegram.sendVideo(channel.channelId, content.fileId, { caption: content.caption });
-            } else if (content.type === "document") {
-              message = await ctx.telegram.sendDocument(channel.channelId, content.fileId, { caption: content.caption });
-            }
-          }
-          broadcastMessages.push({
-            messageId: message.message_id,
-            chatId: message.chat.id,
-            content: content,
-            targetType: 'channel'
-          });
-          success++;
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          console.error(`Failed to send to channel ${channel.channelId}:`, error);
-          failed++;
-        }
-      }
-    }
+  await recordAudit(ctx.from, 'broadcast.unschedule', 'broadcast', scheduled._id);
+  await ctx.answerCbQuery("Scheduled broadcast cancelled");
+  await ctx.reply(`🗑 Cancelled the broadcast scheduled for ${formatDateTime(scheduled.runAt)}`);
+});
 
-    // Save broadcast messages for possible deletion
-    if (broadcastMessages.length > 0) {
-      await Broadcast.insertMany(broadcastMessages);
-    }
+bot.action("ADMIN_CANCEL", async (ctx) => {
+  if (!isAdmin(ctx.from.id)) return;
+  clearMenuState(ctx);
+  await ctx.deleteMessage();
+  await showAdminMenu(ctx);
+});
 
-    await ctx.editMessageText(
-      `✅ Broadcast completed\n\n` +
-      `Success: ${success}\n` +
-      `Failed: ${failed}`
-    );
+// Product catalog management
+const PRODUCT_FORMAT_HELP =
+  "Send the product as:\n" +
+  "Name | Price | Premium days | Group access (yes/no) | Bonus videos | Description\n\n" +
+  "e.g. Premium 30 days | 149 | 30 | no | 0 | Unlimited videos for a month";
+
+// "Name | Price | Days | yes/no | Bonus | Description"; null when malformed or granting nothing
+const parseProductDefinition = (text) => {
+  const [name, price, days, group, bonus, ...description] = text.split('|').map(part => part.trim());
+  const definition = {
+    name,
+    price: parseFloat(price),
+    premiumDays: parseInt(days),
+    grantsGroup: group?.toLowerCase() === 'yes',
+    bonusVideos: parseInt(bonus),
+    description: description.join('|')
+  };
+
+  const valid = name && name.length <= MAX_PRODUCT_NAME_LENGTH &&
+    definition.price > 0 &&
+    definition.premiumDays >= 0 &&
+    ['yes', 'no'].includes(group?.toLowerCase()) &&
+    definition.bonusVideos >= 0 &&
+    (definition.premiumDays > 0 || definition.grantsGroup || definition.bonusVideos > 0);
+
+  return valid ? definition : null;
+};
 
-  } catch (error) {
-    console.error("Broadcast error:", error);
-    await ctx.reply("⚠️ Error during broadcast");
-  }
+const showProductAdmin = async (ctx, product) => {
+  const text =
+    `🛍 ${product.name} (${product.isActive ? 'on sale' : 'hidden'})\n\n` +
+    `Price: ₹${formatAmount(product.price)}\n` +
+    `Grants: ${describeGrants(productGrants(product))}\n` +
+    `Image: ${product.image ? 'set' : 'none'}\n` +
+    `Description: ${product.description || 'None'}`;
+
+  await ctx.reply(text, Markup.inlineKeyboard([
+    [
+      Markup.button.callback("✏️ Edit", `PRODUCT_EDIT_${product._id}`),
+      Markup.button.callback("🖼 Set Image", `PRODUCT_IMAGE_${product._id}`)
+    ],
+    [Markup.button.callback(product.isActive ? "🙈 Hide" : "🟢 Put on Sale", `PRODUCT_TOGGLE_${product._id}`)],
+    [Markup.button.callback("🔙 Back", "ADMIN_PRODUCTS")]
+  ]));
 };
 
-// Text broadcast handlers
-bot.action("CONFIRM_BROADCAST_TEXT_USERS", async (ctx) => {
-  await executeBroadcast(ctx, 'users', { text: ctx.session.broadcastData.text });
-});
+bot.action("ADMIN_PRODUCTS", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
 
-bot.action("CONFIRM_BROADCAST_TEXT_CHANNELS", async (ctx) => {
-  await executeBroadcast(ctx, 'channels', { text: ctx.session.broadcastData.text });
-});
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'products_admin';
+  await ctx.answerCbQuery();
 
-bot.action("CONFIRM_BROADCAST_TEXT_ALL", async (ctx) => {
-  await executeBroadcast(ctx, 'all', { text: ctx.session.broadcastData.text });
-});
+  const products = await Product.find().sort({ price: 1 });
+  const buttons = products.map(product => [Markup.button.callback(
+    `${product.isActive ? '🟢' : '⚪️'} ${product.name} - ₹${formatAmount(product.price)}`,
+    `PRODUCT_ADMIN_${product._id}`
+  )]);
+  buttons.push([Markup.button.callback("➕ Add Product", "PRODUCT_ADD")]);
+  buttons.push([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
 
-// Media broadcast handlers
-bot.action("CONFIRM_BROADCAST_MEDIA_USERS", async (ctx) => {
-  await executeBroadcast(ctx, 'users', ctx.session.broadcastData);
+  await ctx.reply(
+    products.length ? "🛍 Products (🟢 on sale, ⚪️ hidden):" : "🛍 No products yet.",
+    Markup.inlineKeyboard(buttons)
+  );
 });
 
-bot.action("CONFIRM_BROADCAST_MEDIA_CHANNELS", async (ctx) => {
-  await executeBroadcast(ctx, 'channels', ctx.session.broadcastData);
+bot.action(/^PRODUCT_ADMIN_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
+
+  const product = await Product.findById(ctx.match[1]);
+  if (!product) return ctx.answerCbQuery("⚠️ Product not found");
+
+  await ctx.answerCbQuery();
+  await showProductAdmin(ctx, product);
 });
 
-bot.action("CONFIRM_BROADCAST_MEDIA_ALL", async (ctx) => {
-  await executeBroadcast(ctx, 'all', ctx.session.broadcastData);
+bot.action(["PRODUCT_ADD", /^PRODUCT_EDIT_([a-f0-9]{24})$/], async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
+
+  clearMenuState(ctx);
+  ctx.session.waitingForProduct = ctx.match?.[1] || 'new';
+
+  await ctx.answerCbQuery();
+  await ctx.reply(PRODUCT_FORMAT_HELP,
+    Markup.inlineKeyboard([Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")])
+  );
 });
 
-// Delete broadcast handler
-bot.action("ADMIN_DELETE_BROADCAST", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+bot.action(/^PRODUCT_IMAGE_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
 
   clearMenuState(ctx);
-  ctx.session.currentMenu = 'delete_broadcast';
+  ctx.session.waitingForProductImage = ctx.match[1];
+
+  await ctx.answerCbQuery();
+  await ctx.reply("🖼 Send the product photo:",
+    Markup.inlineKeyboard([Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")])
+  );
+});
 
-  // Get last 10 broadcasts
-  const broadcasts = await Broadcast.find().sort({ sentAt: -1 }).limit(10);
+bot.action(/^PRODUCT_TOGGLE_([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
 
-  if (broadcasts.length === 0) {
-    await ctx.reply("No recent broadcasts found.");
-    return;
+  const product = await Product.findById(ctx.match[1]);
+  if (!product) return ctx.answerCbQuery("⚠️ Product not found");
+
+  product.isActive = !product.isActive;
+  await product.save();
+  await recordAudit(ctx.from, product.isActive ? 'product.enable' : 'product.disable', 'product', product._id);
+
+  await ctx.answerCbQuery(product.isActive ? "🟢 On sale" : "🙈 Hidden");
+  await ctx.deleteMessage().catch(() => {});
+  await showProductAdmin(ctx, product);
+});
+
+// Role management, owners only
+const showAdminRoleEditor = async (ctx, userId) => {
+  const roles = getAdminRoles(userId);
+  const isPermanentOwner = admins.includes(userId.toString());
+  const user = await User.findOne({ userId });
+  const name = user?.first_name || 'Unknown';
+
+  if (isPermanentOwner) {
+    return ctx.reply(`👑 ${name} (${userId}) is an owner from the ADMINS setting and can't be changed here.`);
   }
 
-  const buttons = broadcasts.map(broadcast => [
-    Markup.button.callback(
-      `🗑 ${new Date(broadcast.sentAt).toLocaleString()} (${broadcast.targetType})`,
-      `DELETE_BROADCAST_${broadcast._id}`
-    )
+  const buttons = Object.entries(ADMIN_ROLES).map(([role, label]) => [
+    Markup.button.callback(`${roles.includes(role) ? '✅' : '▫️'} ${label}`, `ROLE_TOGGLE_${userId}_${role}`)
   ]);
+  buttons.push([Markup.button.callback("⬅️ Back", "ADMIN_ROLES")]);
+
+  const text = `👮 Roles for ${name} (${userId})\n\nTap a role to grant or revoke it.`;
+  if (ctx.callbackQuery) {
+    return ctx.editMessageText(text, Markup.inlineKeyboard(buttons));
+  }
+  await ctx.reply(text, Markup.inlineKeyboard(buttons));
+};
+
+bot.action("ADMIN_ROLES", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
+
+  clearMenuState(ctx);
+  ctx.session.currentMenu = 'admin_roles';
+  await ctx.answerCbQuery();
 
+  const records = await AdminRole.find().sort({ addedAt: 1 });
+  const users = await User.find({ userId: { $in: records.map(record => record.userId) } });
+  const names = new Map(users.map(user => [user.userId, user.first_name]));
+
+  const buttons = records.map(record => [Markup.button.callback(
+    `${names.get(record.userId) || record.userId}: ${record.roles.map(role => ADMIN_ROLES[role]).join(', ')}`,
+    `ROLE_EDIT_${record.userId}`
+  )]);
+  buttons.push([Markup.button.callback("➕ Add Admin", "ROLE_ADD")]);
   buttons.push([Markup.button.callback("🔙 Back", "ADMIN_CANCEL")]);
 
   await ctx.reply(
-    "Select a broadcast to delete:",
+    `👮 Admins\n\nOwners from the ADMINS setting: ${admins.join(', ')}\n` +
+    (records.length ? `Tap an admin to change their roles.` : `No other admins yet.`),
     Markup.inlineKeyboard(buttons)
   );
 });
 
-bot.action(/^DELETE_BROADCAST_(.+)$/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
+bot.action("ROLE_ADD", async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
 
-  const broadcastId = ctx.match[1];
-  const broadcast = await Broadcast.findById(broadcastId);
+  clearMenuState(ctx);
+  ctx.session.waitingForAdminAdd = true;
+  await ctx.answerCbQuery();
+  await ctx.reply("👤 Send the user ID or @username of the new admin:",
+    Markup.inlineKeyboard([Markup.button.callback("❌ Cancel", "ADMIN_CANCEL")])
+  );
+});
 
-  if (!broadcast) {
-    await ctx.reply("Broadcast not found.");
-    return;
-  }
+bot.action(/^ROLE_EDIT_(\d+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
+
+  await ctx.answerCbQuery();
+  await showAdminRoleEditor(ctx, parseInt(ctx.match[1]));
+});
+
+bot.action(/^ROLE_TOGGLE_(\d+)_([a-z]+)$/, async (ctx) => {
+  if (!hasRole(ctx.from.id, 'owner')) return ctx.answerCbQuery("❌ Owner only");
+
+  const userId = parseInt(ctx.match[1]);
+  const role = ctx.match[2];
+  if (!ADMIN_ROLES[role] || admins.includes(userId.toString())) return ctx.answerCbQuery();
 
   try {
-    // Try to delete the message
-    await ctx.telegram.deleteMessage(broadcast.chatId, broadcast.messageId);
-    await Broadcast.deleteOne({ _id: broadcastId });
-    await ctx.reply("✅ Broadcast message deleted successfully.");
+    const granted = !getAdminRoles(userId).includes(role);
+    const record = await AdminRole.findOneAndUpdate(
+      { userId },
+      granted
+        ? { $addToSet: { roles: role }, $setOnInsert: { addedBy: ctx.from.id } }
+        : { $pull: { roles: role } },
+      { upsert: granted, new: true }
+    );
+    // Admins without roles are removed entirely
+    if (record && record.roles.length === 0) await AdminRole.deleteOne({ userId });
+    await refreshAdminRoles();
+    await recordAudit(ctx.from, granted ? 'role.grant' : 'role.revoke', 'user', userId, { role });
+
+    await ctx.answerCbQuery(`${ADMIN_ROLES[role]} ${granted ? 'granted' : 'revoked'}`);
+    await showAdminRoleEditor(ctx, userId);
   } catch (error) {
-    console.error("Error deleting broadcast:", error);
-    await ctx.reply("⚠️ Failed to delete broadcast message. It may have been already deleted.");
+    console.error(`Role update error for ${userId}:`, error);
+    await ctx.answerCbQuery("⚠️ Failed to update roles", { show_alert: true });
   }
-
-  await showAdminMenu(ctx);
-});
-
-bot.action("ADMIN_CANCEL", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return;
-  clearMenuState(ctx);
-  await ctx.deleteMessage();
-  await showAdminMenu(ctx);
 });
 
 // Admin stats handler
@@ -1298,17 +4478,33 @@ bot.action("ADMIN_STATS", async (ctx) => {
   try {
     const userCount = await User.countDocuments();
     const premiumCount = await User.countDocuments({ isPremium: true });
+    const blockedCount = await User.countDocuments({ status: 'blocked' });
+    const deactivatedCount = await User.countDocuments({ status: 'deactivated' });
     const videoCount = await Video.countDocuments();
     const groupAccessCount = await User.countDocuments({ hasPurchaseGroupAccess: true });
     const channelCount = await Channel.countDocuments();
+    const groupCount = await Group.countDocuments();
+    const queuedDeletionCount = await ScheduledDeletion.countDocuments({ status: 'pending' });
+    const failedDeletionCount = await ScheduledDeletion.countDocuments({ status: { $in: ['failed', 'expired'] } });
+    const pendingPaymentCount = await Payment.countDocuments({ status: 'pending', proofFileId: { $ne: null } });
+    const [revenue] = await Payment.aggregate([
+      { $match: { status: 'approved' } },
+      { $group: { _id: null, total: { $sum: "$amount" }, count: { $sum: 1 } } }
+    ]);
 
     await ctx.reply(
       `📊 Bot Statistics:\n\n` +
       `👥 Total Users: ${userCount}\n` +
+      `🚫 Blocked the Bot: ${blockedCount}\n` +
+      `👻 Deactivated Accounts: ${deactivatedCount}\n` +
       `💎 Premium Users: ${premiumCount}\n` +
       `👑 Purchase Group Members: ${groupAccessCount}\n` +
       `🎥 Videos Available: ${videoCount}\n` +
-      `📺 Registered Channels: ${channelCount}`
+      `📺 Registered Channels: ${channelCount}\n` +
+      `👥 Registered Groups: ${groupCount}\n` +
+      `🗑 Queued Deletions: ${queuedDeletionCount} (failed/expired this week: ${failedDeletionCount})\n` +
+      `🧾 Pending Payments: ${pendingPaymentCount}\n` +
+      `💰 Revenue: ₹${revenue?.total || 0} (${revenue?.count || 0} approved)`
     );
   } catch (error) {
     console.error("Error getting stats:", error);
@@ -1323,12 +4519,21 @@ bot.catch((err, ctx) => {
 });
 
 // Start bot
-bot.launch()
-.then(() => {
+// launch() only resolves once polling stops, so startup work runs in the onLaunch callback
+// chat_member updates are only delivered when requested explicitly
+bot.launch({
+  allowedUpdates: ['message', 'callback_query', 'my_chat_member', 'chat_member']
+}, () => {
   console.log("🚀 Bot running successfully");
-  // Initial cleanup and refresh
-  cleanInactiveUsers();
   refreshChannelList();
+  refreshAdminRoles();
+  // Resume broadcasts interrupted by a restart
+  runBroadcastWorker();
+  migrateViewHistory();
+  migrateScheduledDeletions();
+  migrateLegacyBroadcasts();
+  recoverStartingSchedules();
+  migrateProducts();
   // Debug info
   debug.log('Bot started with config:', {
     admins,